@@ -38,6 +38,9 @@ const userscriptBanner = `// ==UserScript==
 // @license      MIT
 // @match        https://gemini.google.com/*
 // @grant        GM_xmlhttpRequest
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
 // @run-at       document-end
 // ==/UserScript==
 `;
@@ -77,6 +80,18 @@ const websiteCtx = await esbuild.context({
   plugins: [copyAssetsPlugin],
 });
 
+// Build processing worker - worker.js
+const workerCtx = await esbuild.context({
+  ...commonConfig,
+  entryPoints: ['src/worker.js'],
+  format: 'iife',
+  outfile: 'dist/worker.js',
+  platform: 'browser',
+  target: ['es2020'],
+  banner: { js: jsBanner },
+  sourcemap: !isProd,
+});
+
 // Build userscript
 const userscriptCtx = await esbuild.context({
   ...commonConfig,
@@ -93,11 +108,11 @@ if (existsSync('dist')) rmSync('dist', { recursive: true });
 mkdirSync('dist/userscript', { recursive: true });
 
 if (isProd) {
-  await Promise.all([websiteCtx.rebuild(), userscriptCtx.rebuild()]);
+  await Promise.all([websiteCtx.rebuild(), workerCtx.rebuild(), userscriptCtx.rebuild()]);
   console.log('✅ Build complete!');
   process.exit(0);
 } else {
-  await Promise.all([websiteCtx.watch(), userscriptCtx.watch()]);
+  await Promise.all([websiteCtx.watch(), workerCtx.watch(), userscriptCtx.watch()]);
 
   const watchDir = (dir, dest) => {
     let debounceTimer = null;
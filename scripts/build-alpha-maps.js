@@ -0,0 +1,47 @@
+/**
+ * Alpha map data generator
+ * Decode the captured watermark backgrounds (src/assets/bg_*.png) into the
+ * built-in alpha map module, so the core engine never has to decode images.
+ *
+ * Usage: node scripts/build-alpha-maps.js
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { decodePng } from '../src/core/png.js';
+
+const SOURCES = [
+    { name: 'ALPHA_MAP_48', file: 'src/assets/bg_48.png' },
+    { name: 'ALPHA_MAP_96', file: 'src/assets/bg_96.png' }
+];
+const OUTPUT = 'src/core/alphaMapData.js';
+
+/**
+ * Reduce decoded RGBA pixels to one byte per pixel: the maximum colour channel,
+ * which is what calculateAlphaMap normalises into alpha
+ */
+function toAlphaBytes({ width, height, data }) {
+    const bytes = new Uint8Array(width * height);
+
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.max(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    }
+
+    return bytes;
+}
+
+const entries = await Promise.all(SOURCES.map(async ({ name, file }) => {
+    const png = await decodePng(new Uint8Array(readFileSync(file)));
+    const data = Buffer.from(toAlphaBytes(png)).toString('base64');
+    return `export const ${name} = {\n    width: ${png.width},\n    height: ${png.height},\n    data: '${data}'\n};`;
+}));
+
+writeFileSync(OUTPUT, `/**
+ * Built-in alpha maps
+ * Generated by scripts/build-alpha-maps.js from src/assets/bg_*.png - do not edit.
+ * Each entry stores one byte per pixel (max RGB channel of the capture), base64 encoded.
+ */
+
+${entries.join('\n\n')}
+`);
+
+console.log(`✅ Wrote ${OUTPUT}`);
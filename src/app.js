@@ -1,17 +1,59 @@
 import { WatermarkEngine } from './core/watermarkEngine.js';
+import { ProfileRegistry } from './core/profileRegistry.js';
 import i18n from './i18n.js';
 import { loadImage, checkOriginal, getOriginalStatus, setStatusMessage, showLoading, hideLoading } from './utils.js';
+import { decodeImage, getImageData, imageDataToCanvas, canvasToBlob } from './canvas.js';
+import { normalizeOutput, getExtension, decodeInput, encodeOutput } from './output.js';
+import { compareImages, renderDiffHeatmap } from './core/diff.js';
+import { FILE_TOKENS, ARCHIVE_TOKENS, DEFAULT_FILE_TEMPLATE, DEFAULT_ARCHIVE_TEMPLATE, validateTemplate, formatFilename } from './core/filename.js';
+import { WorkerPool } from './workerPool.js';
+import { setupCalibration, loadSavedProfiles, updateCalibrationTexts } from './calibration.js';
+import { setupCompare, showCompare } from './compare.js';
+import { createSession, saveSessionItem, deleteSessionItem, loadSessionItems } from './sessionStore.js';
+import { setupHistory, showRestorePrompt, hideRestorePrompt, refreshHistory, updateHistoryTexts } from './history.js';
+import { isArchive, getDroppedEntries, readInputFiles, getUniquePath } from './inputFiles.js';
 import JSZip from 'jszip';
 import mediumZoom from 'medium-zoom';
 
 // global state
 let engine = null;
+let pool = null;
 let imageQueue = [];
-let processedCount = 0;
+let nextItemId = 1;
+let queuePaused = false;
+let reviewFilter = 'all';
+let session = null;     // Promise of the stored session's id (null when storage fails), null while nothing is stored
 let zoom = null;
 let isCustomMode = false;
-let customPosition = null;
+let previewItem = null;
+let customRegions = [];
+let selectedRegion = -1;
 let dragState = null;
+let viewZoom = { scale: 1, x: 0, y: 0 };
+let pinchState = null;
+const activePointers = new Map();
+let outputSettings = null;
+let namingSettings = null;
+let resultView = 'result';
+
+const OUTPUT_STORAGE_KEY = 'outputFormat';
+const NAMING_STORAGE_KEY = 'outputNaming';
+const MIN_REGION_SIZE = 20;     // Smallest custom region side in image pixels
+const MAX_VIEW_ZOOM = 8;        // Pinch zoom limit of the original while adjusting regions
+const WHEEL_ZOOM_STEP = 1.1;    // Per ctrl+wheel notch, the event trackpads send for pinching
+const RESIZE_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+const HIGH_CONFIDENCE = 0.8;    // Snap confidence shown as a good match
+const MEDIUM_CONFIDENCE = 0.5;  // Below this the box likely misses the logo
+
+// Batch review filters, each item shows under the filters it matches
+const REVIEW_FILTERS = {
+    all: () => true,
+    completed: item => item.status === 'completed',
+    failed: item => item.status === 'error',
+    not_original: item => item.isGoogle === true && item.original === false,
+    not_gemini: item => item.isGoogle === false,
+    low_confidence: item => item.status === 'completed' && item.lowConfidence
+};
 
 // dom elements references
 const uploadArea = document.getElementById('uploadArea');
@@ -21,18 +63,46 @@ const multiPreview = document.getElementById('multiPreview');
 const imageList = document.getElementById('imageList');
 const progressText = document.getElementById('progressText');
 const downloadAllBtn = document.getElementById('downloadAllBtn');
+const addFilesBtn = document.getElementById('addFilesBtn');
+const pauseQueueBtn = document.getElementById('pauseQueueBtn');
+const downloadAllCount = document.getElementById('downloadAllCount');
+const reviewFilters = document.getElementById('reviewFilters');
+const acceptShownBtn = document.getElementById('acceptShownBtn');
 const originalImage = document.getElementById('originalImage');
 const processedSection = document.getElementById('processedSection');
 const processedImage = document.getElementById('processedImage');
 const originalInfo = document.getElementById('originalInfo');
 const processedInfo = document.getElementById('processedInfo');
+const resultViewToggle = document.getElementById('resultViewToggle');
+const diffImage = document.getElementById('diffImage');
+const diffStats = document.getElementById('diffStats');
+const compareView = document.getElementById('compareView');
 const downloadBtn = document.getElementById('downloadBtn');
 const resetBtn = document.getElementById('resetBtn');
+const removalModeField = document.getElementById('removalModeField');
+const removalMode = document.getElementById('removalMode');
+const outputFormat = document.getElementById('outputFormat');
+const outputQuality = document.getElementById('outputQuality');
+const outputQualityField = document.getElementById('outputQualityField');
+const outputQualityValue = document.getElementById('outputQualityValue');
+const outputMetadata = [...document.querySelectorAll('input[name="outputMetadata"]')];
+const filenameTemplate = document.getElementById('filenameTemplate');
+const archiveTemplate = document.getElementById('archiveTemplate');
+const filenamePreview = document.getElementById('filenamePreview');
 
 // custom mode elements
 const toggleCustomBtn = document.getElementById('toggleCustomBtn');
+const originalViewport = document.getElementById('originalViewport');
+const originalStage = document.getElementById('originalStage');
 const watermarkOverlay = document.getElementById('watermarkOverlay');
-const watermarkBox = document.getElementById('watermarkBox');
+const customRegionTools = document.getElementById('customRegionTools');
+const addRegionBtn = document.getElementById('addRegionBtn');
+const deleteRegionBtn = document.getElementById('deleteRegionBtn');
+const snapToggle = document.getElementById('snapToggle');
+const applySameSizeBtn = document.getElementById('applySameSizeBtn');
+const batchEditorBar = document.getElementById('batchEditorBar');
+const batchEditorName = document.getElementById('batchEditorName');
+const batchEditorDone = document.getElementById('batchEditorDone');
 
 /**
  * initialize the application
@@ -43,11 +113,27 @@ async function init() {
         setupLanguageSwitch();
         showLoading(i18n.t('status.loading'));
 
-        engine = await WatermarkEngine.create();
+        const registry = new ProfileRegistry();
+        const savedProfiles = loadSavedProfiles();
+        savedProfiles.forEach(profile => registry.register(profile));
+        engine = await WatermarkEngine.create(registry);
+
+        // Fall back to the main thread where workers cannot use OffscreenCanvas
+        if (WorkerPool.isSupported()) {
+            pool = new WorkerPool('worker.js');
+            pool.setProfiles(registry.list());
+        }
 
         hideLoading();
         setupEventListeners();
+        setupOutputSettings();
+        setupNaming();
+        setupResultView();
+        setupCompare();
         setupCustomMode();
+        setupCalibration(engine, savedProfiles, () => pool?.setProfiles(engine.registry.list()));
+        setupHistory(restoreSession);
+        showRestorePrompt();
 
         zoom = mediumZoom('[data-zoomable]', {
             margin: 24,
@@ -93,74 +179,468 @@ function setupEventListeners() {
     uploadArea.addEventListener('drop', (e) => {
         e.preventDefault();
         uploadArea.classList.remove('dragover');
-        handleFiles(Array.from(e.dataTransfer.files));
+        handleInput(getDroppedEntries(e.dataTransfer));
     });
 
     downloadAllBtn.addEventListener('click', downloadAll);
+    addFilesBtn.addEventListener('click', () => fileInput.click());
+    pauseQueueBtn.addEventListener('click', () => setQueuePaused(!queuePaused));
+    acceptShownBtn.addEventListener('click', acceptShown);
+    reviewFilters.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-filter]');
+        if (!button) return;
+        reviewFilter = button.dataset.filter;
+        updateFilters();
+    });
     resetBtn.addEventListener('click', reset);
+
+    removalMode.addEventListener('change', () => {
+        const item = previewItem;
+        if (!item || !item.originalImg) return;
+        item.mode = removalMode.value;
+        processSingle(item, false);
+    });
+}
+
+/**
+ * Load output settings from a previous session
+ * @returns {Object} Output settings {format, quality}
+ */
+function loadOutputSettings() {
+    try {
+        return normalizeOutput(JSON.parse(localStorage.getItem(OUTPUT_STORAGE_KEY)));
+    } catch {
+        return normalizeOutput();
+    }
+}
+
+/**
+ * setup output format, quality and metadata controls
+ * Changing them re-encodes the results already shown, so downloads match the setting
+ */
+function setupOutputSettings() {
+    outputSettings = loadOutputSettings();
+    outputFormat.value = outputSettings.format;
+    outputQuality.value = Math.round(outputSettings.quality * 100);
+    outputMetadata.forEach(input => { input.checked = outputSettings.metadata.includes(input.value); });
+
+    const render = () => {
+        // PNG is lossless, quality only applies to JPEG and WebP (also as "same as input")
+        outputQualityField.style.display = outputSettings.format === 'png' ? 'none' : 'flex';
+        outputQualityValue.textContent = `${outputQuality.value}%`;
+    };
+
+    const apply = () => {
+        outputSettings = normalizeOutput({
+            format: outputFormat.value,
+            quality: outputQuality.value / 100,
+            metadata: outputMetadata.filter(input => input.checked).map(input => input.value)
+        });
+        localStorage.setItem(OUTPUT_STORAGE_KEY, JSON.stringify(outputSettings));
+        render();
+
+        if (singlePreview.style.display !== 'none' && previewItem && previewItem.originalImg) {
+            processSingle(previewItem, false);
+        }
+        imageQueue
+            .filter(item => item !== previewItem && item.status === 'completed')
+            .forEach(item => reprocessItem(item));
+    };
+
+    outputFormat.addEventListener('change', apply);
+    outputQuality.addEventListener('input', render);
+    outputQuality.addEventListener('change', apply);
+    outputMetadata.forEach(input => input.addEventListener('change', apply));
+    render();
+}
+
+/**
+ * Load filename templates from a previous session, invalid ones fall back to the defaults
+ * @returns {Object} Templates {file, archive}
+ */
+function loadNamingSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(NAMING_STORAGE_KEY));
+    } catch {
+        // Defaults below
+    }
+
+    const load = (template, tokens, fallback) => {
+        try {
+            return validateTemplate(template, tokens);
+        } catch {
+            return fallback;
+        }
+    };
+    return {
+        file: load(saved?.file, FILE_TOKENS, DEFAULT_FILE_TEMPLATE),
+        archive: load(saved?.archive, ARCHIVE_TOKENS, DEFAULT_ARCHIVE_TEMPLATE)
+    };
+}
+
+/**
+ * setup filename template inputs
+ * A template is only used once it is valid, the preview shows what is wrong meanwhile.
+ */
+function setupNaming() {
+    namingSettings = loadNamingSettings();
+    filenameTemplate.value = namingSettings.file;
+    archiveTemplate.value = namingSettings.archive;
+
+    const apply = (key, input, tokens) => {
+        try {
+            namingSettings[key] = validateTemplate(input.value, tokens);
+            localStorage.setItem(NAMING_STORAGE_KEY, JSON.stringify(namingSettings));
+        } catch {
+            // Reported by the preview
+        }
+        updateFilenamePreview();
+    };
+
+    filenameTemplate.addEventListener('input', () => apply('file', filenameTemplate, FILE_TOKENS));
+    archiveTemplate.addEventListener('input', () => apply('archive', archiveTemplate, ARCHIVE_TOKENS));
+    updateFilenamePreview();
+}
+
+/**
+ * Show the names the templates give the previewed or first finished image and a batch archive
+ */
+function updateFilenamePreview() {
+    try {
+        validateTemplate(filenameTemplate.value, FILE_TOKENS);
+        validateTemplate(archiveTemplate.value, ARCHIVE_TOKENS);
+    } catch (error) {
+        filenamePreview.textContent = error.message;
+        filenamePreview.classList.add('text-err');
+        return;
+    }
+
+    const item = previewItem?.processedBlob ? previewItem : imageQueue.find(other => other.status === 'completed' && other.originalImg);
+    const values = item ? getNameValues(item) : {
+        name: 'Gemini_Generated_Image',
+        ext: 'png',
+        width: 2048,
+        height: 2048,
+        wmSize: { width: 96, height: 96 }
+    };
+    filenamePreview.textContent = `${i18n.t('naming.preview')}: ${formatFilename(namingSettings.file, values)} · ` +
+        getArchiveName(Math.max(1, imageQueue.length));
+    filenamePreview.classList.remove('text-err');
+}
+
+/**
+ * setup result / compare / diff switch of the single preview
+ */
+function setupResultView() {
+    resultViewToggle.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-view]');
+        if (button) showResultView(button.dataset.view);
+    });
+    showResultView(resultView);
+}
+
+/**
+ * Show the processed image, the before/after comparison or the diff heatmap with statistics
+ * The diff is computed when first shown and kept until the image is processed again
+ * @param {string} view - 'result', 'compare' or 'diff'
+ */
+async function showResultView(view) {
+    resultView = view;
+    const showDiff = view === 'diff';
+    const item = previewItem;
+
+    resultViewToggle.querySelectorAll('button[data-view]').forEach(button => {
+        const active = button.dataset.view === view;
+        button.classList.toggle('bg-emerald-50', active);
+        button.classList.toggle('text-emerald-700', active);
+        button.classList.toggle('text-gray-500', !active);
+    });
+    processedImage.style.display = view === 'result' ? 'block' : 'none';
+    compareView.style.display = view === 'compare' ? 'block' : 'none';
+    diffImage.style.display = showDiff ? 'block' : 'none';
+    diffStats.style.display = showDiff ? 'grid' : 'none';
+
+    if (singlePreview.style.display === 'none' || !item || !item.processedBlob) return;
+    if (view === 'compare') {
+        showCompare(item.originalImg.src, item.processedUrl, item.position);
+        return;
+    }
+    if (!showDiff) return;
+
+    try {
+        if (!item.diff) item.diff = computeDiff(item);
+        const { url, stats } = await item.diff;
+        // Another image or view may have been picked meanwhile
+        if (item !== previewItem || resultView !== 'diff') return;
+        diffImage.src = url;
+        diffStats.innerHTML = formatDiffStats(stats);
+    } catch (error) {
+        console.error(error);
+        diffStats.innerHTML = `<p class="text-warn">${i18n.t('diff.failed')}</p>`;
+    }
+}
+
+/**
+ * Compare the original file with the result file
+ * Both are decoded like processing input, so the diff shows what the download changed
+ * @param {Object} item - Processed queue item
+ * @returns {Promise<Object>} {url, stats}, url points at the heatmap, stats see compareImages
+ */
+async function computeDiff(item) {
+    const decode = async (file) => decodeInput(new Uint8Array(await file.arrayBuffer()), outputSettings,
+        settings => decodeImage(file, settings));
+
+    const before = await decode(item.file);
+    const after = await decode(item.processedBlob);
+    const stats = compareImages(before, after, item.regions);
+    const heatmap = await canvasToBlob(imageDataToCanvas(renderDiffHeatmap(before, after)));
+
+    return { url: URL.createObjectURL(heatmap), stats };
+}
+
+/**
+ * Drop a cached diff and its heatmap URL
+ * @param {Object} item - Queue item
+ */
+function clearDiff(item) {
+    if (!item.diff) return;
+    item.diff.then(({ url }) => URL.revokeObjectURL(url), () => {});
+    item.diff = null;
 }
 
 function reset() {
+    imageQueue.forEach(releaseItem);
+    showResultView('result');
     singlePreview.style.display = 'none';
     multiPreview.style.display = 'none';
     imageQueue = [];
-    processedCount = 0;
+    previewItem = null;
+    // The stored session stays in the history, new files start another one
+    session = null;
+    setQueuePaused(false);
     fileInput.value = '';
 
     // reset custom mode
-    isCustomMode = false;
-    customPosition = null;
+    showCustomMode(false);
     toggleCustomBtn.style.display = 'none';
-    toggleCustomBtn.classList.remove('bg-emerald-50', 'text-emerald-600', 'border-emerald-200');
-    toggleCustomBtn.classList.add('bg-white', 'text-gray-600', 'border-gray-200');
-    watermarkOverlay.style.display = 'none';
-    if (zoom) zoom.attach('#originalImage');
+    removalModeField.style.display = 'none';
+    batchEditorBar.style.display = 'none';
 }
 
 function handleFileSelect(e) {
-    handleFiles(Array.from(e.target.files));
+    handleInput(Array.from(e.target.files));
+    // Picking the same files again must fire another change
+    fileInput.value = '';
+}
+
+/**
+ * Read picked or dropped files, folders and ZIP archives, then queue their images
+ * @param {Array<File|FileSystemEntry>} inputs - Files or file system entries
+ */
+async function handleInput(inputs) {
+    // Folders and archives can take a while to read
+    const slow = inputs.some(input => input.isDirectory || isArchive(input));
+    if (slow) showLoading(i18n.t('status.reading'));
+
+    try {
+        handleFiles(await readInputFiles(inputs));
+    } catch (error) {
+        console.error('reading input failed:', error);
+    } finally {
+        if (slow) hideLoading();
+    }
 }
 
-function handleFiles(files) {
-    const validFiles = files.filter(file => {
+/**
+ * Queue images, as a new batch or joining the running one
+ * @param {Object[]} images - Images {file, path}, path relative to what was dropped or picked
+ */
+function handleFiles(images) {
+    const validImages = images.filter(({ file }) => {
         if (!file.type.match('image/(jpeg|png|webp)')) return false;
         if (file.size > 20 * 1024 * 1024) return false;
         return true;
     });
 
-    if (validFiles.length === 0) return;
+    if (validImages.length === 0) return;
 
-    imageQueue.forEach(item => {
-        if (item.originalUrl) URL.revokeObjectURL(item.originalUrl);
-        if (item.processedUrl) URL.revokeObjectURL(item.processedUrl);
+    const items = validImages.map(({ file, path }) => createQueueItem(file, { path }));
+
+    // Files dropped on a running batch join it
+    if (multiPreview.style.display !== 'none') {
+        imageQueue.push(...items);
+        enqueueItems(items);
+        items.forEach(persistItem);
+        return;
+    }
+
+    hideRestorePrompt();
+    session = createSession().catch(error => {
+        console.error('session storage unavailable:', error);
+        return null;
     });
+    startQueue(items);
+    items.forEach(persistItem);
+}
 
-    imageQueue = validFiles.map((file, index) => ({
-        id: Date.now() + index,
+/**
+ * Create a queue item for an image file
+ * @param {File} file - Image file
+ * @param {Object} [fields] - State replacing the defaults, e.g. restored from a stored session
+ * @returns {Object} Queue item
+ */
+function createQueueItem(file, fields = {}) {
+    return {
+        id: nextItemId++,
         file,
         name: file.name,
+        path: file.name,
         status: 'pending',
         originalImg: null,
         processedBlob: null,
+        watermarkInfo: null,
+        result: null,
         originalUrl: null,
-        processedUrl: null
-    }));
+        processedUrl: null,
+        mode: 'auto',
+        original: null,
+        isGoogle: null,
+        lowConfidence: false,
+        review: null,
+        showOriginal: false,
+        customRegions: null,
+        position: null,
+        diff: null,
+        controller: null,
+        reprocess: false,
+        ...fields
+    };
+}
 
-    processedCount = 0;
+/**
+ * Replace the queue: a single image opens in the preview, more in the batch list
+ * @param {Object[]} items - Queue items
+ */
+function startQueue(items) {
+    imageQueue.forEach(releaseItem);
+    imageQueue = items;
 
-    if (validFiles.length === 1) {
+    if (items.length === 1) {
+        previewItem = imageQueue[0];
         singlePreview.style.display = 'block';
         multiPreview.style.display = 'none';
-        processSingle(imageQueue[0]);
+        batchEditorBar.style.display = 'none';
+        processSingle(previewItem);
     } else {
+        previewItem = null;
+        if (isCustomMode) showCustomMode(false);
         singlePreview.style.display = 'none';
         multiPreview.style.display = 'block';
         imageList.innerHTML = '';
-        updateProgress();
         multiPreview.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        imageQueue.forEach(item => createImageCard(item));
-        processQueue();
+        enqueueItems(items);
+    }
+}
+
+/**
+ * Get the state of an item that is stored with the session
+ * Items still processing are stored as pending, a restore processes them again.
+ * @param {Object} item - Queue item
+ * @returns {Object} Item record
+ */
+function toSessionRecord(item) {
+    const completed = item.status === 'completed';
+    return {
+        itemId: item.id,
+        name: item.name,
+        path: item.path,
+        file: item.file,
+        processedBlob: completed ? item.processedBlob : null,
+        result: completed ? item.result : null,
+        status: item.status === 'processing' ? 'pending' : item.status,
+        mode: item.mode,
+        customRegions: item.customRegions,
+        watermarkInfo: item.watermarkInfo && summarizeInfo(item.watermarkInfo),
+        review: item.review,
+        isGoogle: item.isGoogle,
+        original: item.original,
+        lowConfidence: item.lowConfidence
+    };
+}
+
+/**
+ * Create a queue item from a stored record
+ * @param {Object} record - Item record, see toSessionRecord
+ * @returns {Object} Queue item
+ */
+function fromSessionRecord({ sessionId, itemId, file, processedBlob, result, ...fields }) {
+    return createQueueItem(file, {
+        ...fields,
+        id: itemId,
+        processedBlob,
+        processedUrl: processedBlob ? URL.createObjectURL(processedBlob) : null,
+        result,
+        position: result ? result.position : null,
+        regions: result?.regions
+    });
+}
+
+/**
+ * Apply a change to the stored session, when there is one
+ * @param {Function} run - Receives the session id, returns a promise
+ */
+function updateSession(run) {
+    if (!session) return;
+    session
+        .then(id => id && run(id))
+        .then(refreshHistory)
+        .catch(error => console.error('session update failed:', error));
+}
+
+/**
+ * Store an item's current state with the session
+ * Items no longer in the queue, like removed ones finishing their cancellation, are skipped.
+ * @param {Object} item - Queue item
+ */
+function persistItem(item) {
+    if (!imageQueue.includes(item)) return;
+    const record = toSessionRecord(item);
+    updateSession(id => saveSessionItem(id, record));
+}
+
+/**
+ * Load a stored session into the page, replacing the current images
+ * Finished results are shown as stored, unfinished items are processed again.
+ * @param {number} id - Session id
+ */
+async function restoreSession(id) {
+    let records;
+    try {
+        records = await loadSessionItems(id);
+    } catch (error) {
+        console.error('session restore failed:', error);
+        return;
     }
+    if (records.length === 0) return;
+
+    reset();
+    const items = records.map(fromSessionRecord);
+    nextItemId = Math.max(nextItemId, ...items.map(item => item.id + 1));
+    session = Promise.resolve(id);
+    startQueue(items);
+}
+
+/**
+ * Stop an item's processing and free its object URLs
+ * @param {Object} item - Queue item
+ */
+function releaseItem(item) {
+    item.controller?.abort();
+    if (item.originalUrl) URL.revokeObjectURL(item.originalUrl);
+    if (item.processedUrl) URL.revokeObjectURL(item.processedUrl);
+    clearDiff(item);
+    item.pixels = null;
 }
 
 async function processSingle(item, scrollIntoView = true) {
@@ -171,24 +651,42 @@ async function processSingle(item, scrollIntoView = true) {
         const { is_google, is_original } = await checkOriginal(item.file);
         const status = getOriginalStatus({ is_google, is_original });
         setStatusMessage(status, is_google && is_original ? 'success' : 'warn');
+        item.original = is_google && is_original;
 
         originalImage.src = img.src;
 
-        const watermarkInfo = engine.getWatermarkInfo(img.width, img.height);
-        originalInfo.innerHTML = `
-            <p>${i18n.t('info.size')}: ${img.width}×${img.height}</p>
-            <p>${i18n.t('info.watermark')}: ${watermarkInfo.size}×${watermarkInfo.size}</p>
-            <p>${i18n.t('info.position')}: (${watermarkInfo.position.x},${watermarkInfo.position.y})</p>
-        `;
-
-        // show custom toggle button
+        // show custom toggle button and removal mode
         toggleCustomBtn.style.display = 'flex';
+        removalModeField.style.display = 'block';
+        removalMode.value = item.mode;
 
-        const result = await engine.removeWatermarkFromImage(img, isCustomMode ? customPosition : null);
-        const blob = await new Promise(resolve => result.toBlob(resolve, 'image/png'));
-        item.processedBlob = blob;
+        if (isCustomMode) {
+            item.customRegions = customRegions.map(({ x, y, width, height }) => ({ x, y, width, height }));
+        }
+        // Skipped like batch items, regions placed by hand are always removed
+        const result = await removeWatermarkFromItem(item, item.customRegions, {
+            skipUnlessPresent: !item.customRegions,
+            mode: item.mode,
+            original: item.original
+        });
+        if (result.info.method !== 'custom') item.watermarkInfo = result.info;
+        originalInfo.innerHTML = formatWatermarkInfo(img, result.info) + (result.regions.length > 1
+            ? `<p>${i18n.t('info.regions')}: ${result.regions.length}</p>`
+            : '');
+
+        item.processedBlob = result.blob;
+        item.result = summarizeResult(result);
+        item.position = result.position;
+        item.regions = result.regions;
+        clearDiff(item);
+
+        // A single image has no card, its status only matters to the stored session
+        if (multiPreview.style.display === 'none') item.status = 'completed';
+        persistItem(item);
+        updateFilenamePreview();
 
-        item.processedUrl = URL.createObjectURL(blob);
+        if (item.processedUrl) URL.revokeObjectURL(item.processedUrl);
+        item.processedUrl = URL.createObjectURL(result.blob);
         processedImage.src = item.processedUrl;
         processedSection.style.display = 'block';
         downloadBtn.style.display = 'flex';
@@ -196,11 +694,16 @@ async function processSingle(item, scrollIntoView = true) {
 
         processedInfo.innerHTML = `
             <p>${i18n.t('info.size')}: ${img.width}×${img.height}</p>
-            <p>${i18n.t('info.status')}: ${i18n.t('info.removed')}</p>
+            <p>${i18n.t('info.status')}: ${i18n.t(result.removed ? 'info.removed' : 'info.unchanged')}</p>
+            ${formatPresence(result)}
+            ${formatAccuracy(result)}
         `;
 
         zoom.detach();
         zoom.attach('[data-zoomable]');
+        // Taps on the original adjust regions in custom mode
+        if (isCustomMode) zoom.detach(originalImage);
+        showResultView(resultView);
 
         if (scrollIntoView) {
             processedSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -213,122 +716,601 @@ async function processSingle(item, scrollIntoView = true) {
 function createImageCard(item) {
     const card = document.createElement('div');
     card.id = `card-${item.id}`;
-    card.className = 'bg-white md:h-[140px] rounded-xl shadow-card border border-gray-100 overflow-hidden';
+    card.className = 'bg-white rounded-xl shadow-card border border-gray-100 overflow-hidden flex flex-col transition-opacity';
     card.innerHTML = `
-        <div class="flex flex-wrap h-full">
-            <div class="w-full md:w-auto h-full flex border-b border-gray-100">
-                <div class="w-24 md:w-48 flex-shrink-0 bg-gray-50 p-2 flex items-center justify-center">
-                    <img id="result-${item.id}" class="max-w-full max-h-24 md:max-h-full rounded" data-zoomable />
-                </div>
-                <div class="flex-1 p-4 flex flex-col min-w-0">
-                    <h4 class="font-semibold text-sm text-gray-900 mb-2 truncate">${item.name}</h4>
-                    <div class="text-xs text-gray-500" id="status-${item.id}">${i18n.t('status.pending')}</div>
-                </div>
-            </div>
-            <div class="w-full md:w-auto ml-auto flex-shrink-0 p-2 md:p-4 flex items-center justify-center">
-                <button id="download-${item.id}" class="px-4 py-2 bg-gray-900 hover:bg-gray-800 text-white rounded-lg text-xs md:text-sm hidden">${i18n.t('btn.download')}</button>
+        <div class="relative aspect-[4/3] bg-gray-50 p-2 flex items-center justify-center">
+            <img id="result-${item.id}" class="max-w-full max-h-full object-contain rounded" data-zoomable />
+            <span id="side-${item.id}" class="absolute top-2 left-2 px-2 py-0.5 rounded-full bg-gray-900/70 text-white text-xs hidden"></span>
+        </div>
+        <div class="flex-1 p-4 flex flex-col gap-2 min-w-0">
+            <h4 id="name-${item.id}" class="font-semibold text-sm text-gray-900 truncate"></h4>
+            <div id="tags-${item.id}" class="flex flex-wrap gap-1 empty:hidden"></div>
+            <div class="text-xs text-gray-500" id="status-${item.id}">${i18n.t('status.pending')}</div>
+        </div>
+        <div class="p-3 border-t border-gray-100 flex flex-wrap items-center gap-2">
+            <select id="mode-${item.id}" class="px-2 py-1.5 border border-gray-200 rounded-lg text-xs bg-white" title="${i18n.t('mode.label')}">
+                ${['auto', 'lossless', 'inpaint'].map(mode => `<option value="${mode}">${i18n.t(`mode.${mode}`)}</option>`).join('')}
+            </select>
+            <button id="toggle-${item.id}" class="px-3 py-1.5 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 rounded-lg text-xs hidden" title="${i18n.t('review.toggleHint')}">${i18n.t('compare.before')}</button>
+            <button id="adjust-${item.id}" class="px-3 py-1.5 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 rounded-lg text-xs disabled:opacity-40" title="${i18n.t('batch.adjustHint')}" disabled>${i18n.t('batch.adjust')}</button>
+            <button id="cancel-${item.id}" class="px-3 py-1.5 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 rounded-lg text-xs">${i18n.t('queue.cancel')}</button>
+            <button id="retry-${item.id}" class="px-3 py-1.5 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 rounded-lg text-xs hidden">${i18n.t('queue.retry')}</button>
+            <button id="download-${item.id}" class="px-3 py-1.5 bg-gray-900 hover:bg-gray-800 text-white rounded-lg text-xs hidden">${i18n.t('btn.download')}</button>
+            <div class="ml-auto flex items-center gap-1">
+                <button id="accept-${item.id}" class="px-3 py-1.5 border border-gray-200 text-gray-700 rounded-lg text-xs hidden" aria-pressed="false">${i18n.t('review.accept')}</button>
+                <button id="reject-${item.id}" class="px-3 py-1.5 border border-gray-200 text-gray-700 rounded-lg text-xs hidden" aria-pressed="false">${i18n.t('review.reject')}</button>
+                <button id="remove-${item.id}" class="p-1.5 text-gray-400 hover:text-red-500 rounded-lg" title="${i18n.t('queue.remove')}" aria-label="${i18n.t('queue.remove')}">
+                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                </button>
             </div>
         </div>
     `;
     imageList.appendChild(card);
+
+    // Names come from dropped folders and archives, never parse them as markup
+    const name = document.getElementById(`name-${item.id}`);
+    name.textContent = item.name;
+    name.title = item.path;
+
+    document.getElementById(`mode-${item.id}`).addEventListener('change', (e) => {
+        item.mode = e.target.value;
+        reprocessItem(item);
+    });
+    document.getElementById(`adjust-${item.id}`).addEventListener('click', () => openBatchEditor(item));
+    document.getElementById(`cancel-${item.id}`).addEventListener('click', () => cancelItem(item));
+    document.getElementById(`retry-${item.id}`).addEventListener('click', () => retryItem(item));
+    document.getElementById(`remove-${item.id}`).addEventListener('click', () => removeItem(item));
+    document.getElementById(`download-${item.id}`).addEventListener('click', () => downloadImage(item));
+    document.getElementById(`toggle-${item.id}`).addEventListener('click', () => showCardSide(item, !item.showOriginal));
+    document.getElementById(`accept-${item.id}`).addEventListener('click', () => setReview(item, item.review === 'accepted' ? null : 'accepted'));
+    document.getElementById(`reject-${item.id}`).addEventListener('click', () => setReview(item, item.review === 'rejected' ? null : 'rejected'));
 }
 
-async function processQueue() {
-    await Promise.all(imageQueue.map(async item => {
+/**
+ * Add cards for new batch items, load their images and start processing
+ * @param {Object[]} items - Queue items, already in imageQueue
+ */
+function enqueueItems(items) {
+    items.forEach(item => createImageCard(item));
+    updateProgress();
+    items.forEach(item => loadQueueItem(item));
+}
+
+/**
+ * Decode a batch item's image for its card, then let the queue pick it up
+ * @param {Object} item - Queue item
+ */
+async function loadQueueItem(item) {
+    try {
         const img = await loadImage(item.file);
         item.originalImg = img;
         item.originalUrl = img.src;
-        document.getElementById(`result-${item.id}`).src = img.src;
+    } catch (error) {
+        item.status = 'error';
+        console.error(error);
+    }
+    if (!imageQueue.includes(item)) return;
+
+    if (item.originalImg) {
+        document.getElementById(`result-${item.id}`).src = item.originalImg.src;
         zoom.attach(`#result-${item.id}`);
-    }));
 
-    const concurrency = 3;
-    for (let i = 0; i < imageQueue.length; i += concurrency) {
-        await Promise.all(imageQueue.slice(i, i + concurrency).map(async item => {
-            if (item.status !== 'pending') return;
+        // Items restored from a session show where they had got to
+        if (item.status === 'completed') {
+            showItemResult(item);
+            setReview(item, item.review);
+        } else if (item.status !== 'pending') {
+            updateStatus(item.id, i18n.t(item.status === 'error' ? 'status.failed' : 'status.cancelled'));
+        }
+    } else {
+        updateStatus(item.id, i18n.t('status.failed'));
+    }
+    updateCardActions(item);
+    pumpQueue();
+}
 
-            item.status = 'processing';
-            updateStatus(item.id, i18n.t('status.processing'));
+/**
+ * Start pending items until every worker is busy
+ * The queue feeds the pool one item per worker, so pausing only has to stop
+ * starting new items and cancelling rarely hits work already handed out.
+ */
+function pumpQueue() {
+    const limit = pool ? pool.workers.length : 1;
+    let active = imageQueue.filter(item => item.status === 'processing').length;
+
+    while (!queuePaused && active < limit) {
+        const next = imageQueue.find(item => item.status === 'pending' && item.originalImg);
+        if (!next) break;
+        active++;
+        processQueueItem(next);
+    }
+    updateProgress();
+}
 
-            try {
-                const result = await engine.removeWatermarkFromImage(item.originalImg);
-                const blob = await new Promise(resolve => result.toBlob(resolve, 'image/png'));
-                item.processedBlob = blob;
+/**
+ * Pause or resume the batch, items already processing finish either way
+ * @param {boolean} paused - Stop starting pending items
+ */
+function setQueuePaused(paused) {
+    queuePaused = paused;
+    pauseQueueBtn.textContent = i18n.t(paused ? 'queue.resume' : 'queue.pause');
+    if (!paused) pumpQueue();
+    updateProgress();
+}
 
-                item.processedUrl = URL.createObjectURL(blob);
-                document.getElementById(`result-${item.id}`).src = item.processedUrl;
+/**
+ * Cancel a pending or processing item, it can be retried later
+ * @param {Object} item - Queue item
+ */
+function cancelItem(item) {
+    if (item.status === 'processing') {
+        item.controller.abort();
+    } else if (item.status === 'pending') {
+        item.status = 'cancelled';
+        updateStatus(item.id, i18n.t('status.cancelled'));
+        updateCardActions(item);
+        updateProgress();
+        persistItem(item);
+    }
+}
 
-                item.status = 'completed';
-                const watermarkInfo = engine.getWatermarkInfo(item.originalImg.width, item.originalImg.height);
+/**
+ * Queue a failed or cancelled item again
+ * @param {Object} item - Queue item
+ */
+function retryItem(item) {
+    if (item.status !== 'error' && item.status !== 'cancelled') return;
+
+    item.status = 'pending';
+    updateStatus(item.id, i18n.t('status.pending'));
+    updateCardActions(item);
+
+    // Images that failed to load get another try too
+    if (item.originalImg) pumpQueue();
+    else loadQueueItem(item);
+}
+
+/**
+ * Remove an item and its card from the batch
+ * @param {Object} item - Queue item
+ */
+function removeItem(item) {
+    if (previewItem === item) {
+        showCustomMode(false);
+        previewItem = null;
+        batchEditorBar.style.display = 'none';
+        singlePreview.style.display = 'none';
+    }
 
-                updateStatus(item.id, `<p>${i18n.t('info.size')}: ${item.originalImg.width}×${item.originalImg.height}</p>
-            <p>${i18n.t('info.watermark')}: ${watermarkInfo.size}×${watermarkInfo.size}</p>
-            <p>${i18n.t('info.position')}: (${watermarkInfo.position.x},${watermarkInfo.position.y})</p>`, true);
+    releaseItem(item);
+    imageQueue = imageQueue.filter(other => other !== item);
+    document.getElementById(`card-${item.id}`)?.remove();
+    updateSession(id => deleteSessionItem(id, item.id));
+    pumpQueue();
+}
 
-                const downloadBtn = document.getElementById(`download-${item.id}`);
-                downloadBtn.classList.remove('hidden');
-                downloadBtn.onclick = () => downloadImage(item);
+/**
+ * Show the card buttons that apply to an item's status
+ * @param {Object} item - Queue item
+ */
+function updateCardActions(item) {
+    const busy = item.status === 'pending' || item.status === 'processing';
+    const failed = item.status === 'error' || item.status === 'cancelled';
+    document.getElementById(`cancel-${item.id}`)?.classList.toggle('hidden', !busy);
+    document.getElementById(`retry-${item.id}`)?.classList.toggle('hidden', !failed);
+    document.getElementById(`download-${item.id}`)?.classList.toggle('hidden', item.status !== 'completed');
+    ['toggle', 'accept', 'reject'].forEach(action => {
+        document.getElementById(`${action}-${item.id}`)?.classList.toggle('hidden', item.status !== 'completed');
+    });
 
-                processedCount++;
-                updateProgress();
+    const adjustBtn = document.getElementById(`adjust-${item.id}`);
+    if (adjustBtn) adjustBtn.disabled = !item.originalImg || item.status === 'processing';
+}
 
-                checkOriginal(item.originalImg).then(({ is_google, is_original }) => {
-                    if (!is_google || !is_original) {
-                        const status = getOriginalStatus({ is_google, is_original });
-                        const statusEl = document.getElementById(`status-${item.id}`);
-                        if (statusEl) statusEl.innerHTML += `<p class="inline-block mt-1 text-xs md:text-sm text-warn">${status}</p>`;
-                    }
-                }).catch(() => {});
-            } catch (error) {
-                item.status = 'error';
-                updateStatus(item.id, i18n.t('status.failed'));
-                console.error(error);
-            }
-        }));
+/**
+ * Process an item again after its settings changed
+ * Pending items pick the settings up when the queue reaches them, items being
+ * processed go again once they finish.
+ * @param {Object} item - Queue item
+ */
+function reprocessItem(item) {
+    if (!item.originalImg || item.status === 'pending') return;
+    if (item.status === 'processing') {
+        item.reprocess = true;
+        return;
     }
+    processQueueItem(item);
+}
 
-    if (processedCount > 0) {
-        downloadAllBtn.style.display = 'flex';
+/**
+ * Process one batch item with its removal mode, also when it is redone after a mode change
+ * @param {Object} item - Queue item
+ */
+async function processQueueItem(item) {
+    const controller = new AbortController();
+    item.controller = controller;
+    item.status = 'processing';
+    updateStatus(item.id, i18n.t('status.processing'));
+    // A new result has to be reviewed again
+    setReview(item, null);
+    updateCardActions(item);
+    updateProgress();
+
+    try {
+        // Auto mode needs the originality check before removal
+        const { is_google, is_original } = await checkOriginal(item.file);
+        item.isGoogle = is_google;
+        item.original = is_google && is_original;
+        updateCardTags(item);
+
+        // Regions placed by hand are removed even where detection finds nothing.
+        // Scale estimates can match texture on clean images, unattended batches go without them.
+        const result = await removeWatermarkFromItem(item, item.customRegions, {
+            skipUnlessPresent: !item.customRegions,
+            estimateScale: false,
+            mode: item.mode,
+            original: item.original
+        }, controller.signal);
+        if (result.info.method !== 'custom') item.watermarkInfo = result.info;
+        item.processedBlob = result.blob;
+        item.result = summarizeResult(result);
+
+        if (item.processedUrl) URL.revokeObjectURL(item.processedUrl);
+        item.processedUrl = URL.createObjectURL(result.blob);
+
+        // Skipped images and weak matches are worth a closer look
+        const { confidence } = result.info;
+        item.lowConfidence = !result.removed || (confidence !== null && confidence < MEDIUM_CONFIDENCE);
+        item.status = 'completed';
+        showItemResult(item);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            item.status = 'cancelled';
+            updateStatus(item.id, i18n.t('status.cancelled'));
+        } else {
+            item.status = 'error';
+            updateStatus(item.id, i18n.t('status.failed'));
+            console.error(error);
+        }
+    } finally {
+        if (item.controller === controller) item.controller = null;
+        if (item.reprocess && item.status === 'completed') item.status = 'pending';
+        item.reprocess = false;
+        updateCardActions(item);
+        persistItem(item);
+        pumpQueue();
     }
 }
 
+/**
+ * Show an item's result on its card
+ * @param {Object} item - Completed queue item
+ */
+function showItemResult(item) {
+    const { result } = item;
+    showCardSide(item, false);
+    updateCardTags(item);
+    updateStatus(item.id, formatWatermarkInfo(item.originalImg, result.info) + formatPresence(result) + formatAccuracy(result), true);
+}
+
+/**
+ * Keep the parts of a removal result that info texts and the compare view are built from
+ * The summary is stored with the session, so the profile's alpha maps stay out.
+ * @param {Object} result - Removal result {info, presence, removed, accuracy, drift, position, regions}
+ * @returns {Object} Result summary
+ */
+function summarizeResult({ info, presence, removed, accuracy, drift, position, regions }) {
+    return { info: summarizeInfo(info), presence, removed, accuracy, drift, position, regions };
+}
+
+/**
+ * @param {Object} info - Watermark information {position, confidence, method, profile}
+ * @returns {Object} Watermark information with the profile's name only
+ */
+function summarizeInfo({ position, confidence, method, profile }) {
+    return { position, confidence, method, profile: { name: profile.name } };
+}
+
+/**
+ * Remove watermark from a queue item, in the worker pool when available
+ * @param {Object} item - Queue item with its file and decoded image
+ * @param {Object|Object[]} [customPosition] - Optional custom watermark position(s) {x, y, width, height}
+ * @param {Object} [options] - Engine options
+ * @param {AbortSignal} [signal] - Cancels processing
+ * @returns {Promise<Object>} Result {blob, position, regions, info, presence, removed, accuracy, drift}
+ */
+async function removeWatermarkFromItem(item, customPosition, options, signal = null) {
+    if (pool) return pool.run(item.file, customPosition, options, outputSettings, signal);
+
+    const bytes = new Uint8Array(await item.file.arrayBuffer());
+    const before = await decodeInput(bytes, outputSettings, settings => decodeImage(item.file, settings));
+    const { imageData, ...result } = engine.removeWatermarkFromImageData(before, customPosition, options);
+    const { blob, drift } = await encodeOutput(bytes, item.file.type, before, { imageData, ...result }, outputSettings,
+        (pixels, type, quality) => canvasToBlob(imageDataToCanvas(pixels), type, quality));
+    signal?.throwIfAborted();
+
+    return { blob, ...result, drift };
+}
+
+/**
+ * Format image size and detected watermark for info panels
+ * @param {HTMLImageElement} img - Original image
+ * @param {Object} info - Watermark information {position, confidence, profile}
+ * @returns {string} HTML
+ */
+function formatWatermarkInfo(img, info) {
+    const { position, confidence, profile } = info;
+    return `
+            <p>${i18n.t('info.size')}: ${img.width}×${img.height}</p>
+            <p>${i18n.t('info.watermark')}: ${position.width}×${position.height}</p>
+            <p>${i18n.t('info.profile')}: ${profile.name}</p>
+            <p>${i18n.t('info.position')}: (${position.x},${position.y})</p>
+            ${confidence !== null ? `<p>${i18n.t('info.confidence')}: ${Math.round(confidence * 100)}%</p>` : ''}
+        `;
+}
+
+/**
+ * Format watermark presence verdict, noting images left unchanged
+ * @param {Object} result - Removal result {presence, removed}
+ * @returns {string} HTML
+ */
+function formatPresence({ presence, removed }) {
+    const color = presence.verdict === 'present' ? 'text-success' : 'text-warn';
+    const skipped = removed ? '' : ` (${i18n.t('info.skipped')})`;
+    return `<p class="${color}">${i18n.t('info.presence')}: ${i18n.t(`presence.${presence.verdict}`)}${skipped}</p>`;
+}
+
+/**
+ * Format how close to lossless the removal got, warning when pixels outside the box changed
+ * @param {Object} result - Removal result {accuracy, drift}
+ * @returns {string} HTML
+ */
+function formatAccuracy({ accuracy, drift }) {
+    if (!accuracy) return '';
+    let value;
+    if (accuracy.mode === 'inpaint') {
+        value = `${i18n.t('accuracy.inpainted')} (${accuracy.inpainted} px)`;
+    } else if (accuracy.exact) {
+        value = i18n.t('accuracy.lossless');
+    } else {
+        value = `${i18n.t('accuracy.approx')} ${Math.round(accuracy.quality * 100)}% (×${accuracy.scale.toFixed(3)})`;
+    }
+    return `
+            <p>${i18n.t('info.accuracy')}: ${value}</p>
+            ${accuracy.repaired ? `<p>${i18n.t('info.repaired')}: ${accuracy.repaired}</p>` : ''}
+            ${drift ? `<p class="text-warn">${i18n.t('info.drift')}: ${drift}</p>` : ''}
+        `;
+}
+
+/**
+ * Format diff statistics
+ * @param {Object} stats - Result of compareImages
+ * @returns {string} HTML
+ */
+function formatDiffStats({ changed, total, maxDelta, meanDelta, bounds, outside }) {
+    if (!changed) return `<p class="text-success">${i18n.t('diff.none')}</p>`;
+
+    const outsideText = outside === 0
+        ? `<span class="text-success">0 (${i18n.t('diff.untouched')})</span>`
+        : `<span class="text-warn">${outside}</span>`;
+    return `
+            <p>${i18n.t('diff.changed')}: ${changed} (${(changed / total * 100).toFixed(2)}%)</p>
+            <p>${i18n.t('diff.bounds')}: (${bounds.x},${bounds.y}) ${bounds.width}×${bounds.height}</p>
+            <p>${i18n.t('diff.maxDelta')}: ${maxDelta}</p>
+            <p>${i18n.t('diff.meanDelta')}: ${meanDelta.toFixed(2)}</p>
+            <p>${i18n.t('diff.outside')}: ${outsideText}</p>
+        `;
+}
+
 function updateStatus(id, text, isHtml = false) {
     const el = document.getElementById(`status-${id}`);
     if (el) el.innerHTML = isHtml ? text : text.replace(/\n/g, '<br>');
 }
 
+/**
+ * Show batch progress, cancelled items do not count towards the total
+ */
 function updateProgress() {
-    progressText.textContent = `${i18n.t('progress.text')}: ${processedCount}/${imageQueue.length}`;
+    const count = status => imageQueue.filter(item => item.status === status).length;
+    const completed = count('completed');
+    const failed = count('error');
+    const total = imageQueue.length - count('cancelled');
+
+    let text = `${i18n.t('progress.text')}: ${completed}/${total}`;
+    if (failed > 0) text += ` · ${i18n.t('progress.failed')}: ${failed}`;
+    if (queuePaused) text += ` · ${i18n.t('queue.paused')}`;
+    progressText.textContent = text;
+
+    // Download All exports accepted results only
+    const accepted = getAcceptedItems().length;
+    downloadAllCount.textContent = `(${accepted})`;
+    downloadAllBtn.style.display = accepted > 0 ? 'flex' : 'none';
+    updateFilters();
+    updateFilenamePreview();
+}
+
+/**
+ * Count the items under each review filter, mark the active one and show only its cards
+ */
+function updateFilters() {
+    reviewFilters.querySelectorAll('button[data-filter]').forEach(button => {
+        const matches = REVIEW_FILTERS[button.dataset.filter];
+        const active = button.dataset.filter === reviewFilter;
+        button.querySelector('[data-count]').textContent = imageQueue.filter(matches).length;
+        button.classList.toggle('bg-emerald-50', active);
+        button.classList.toggle('text-emerald-700', active);
+    });
+
+    const shown = imageQueue.filter(REVIEW_FILTERS[reviewFilter]);
+    imageQueue.forEach(item => {
+        document.getElementById(`card-${item.id}`)?.classList.toggle('hidden', !shown.includes(item));
+    });
+    acceptShownBtn.disabled = !shown.some(item => item.status === 'completed' && item.review !== 'accepted');
+}
+
+/**
+ * Show the original or the result on an item's card
+ * @param {Object} item - Queue item
+ * @param {boolean} showOriginal - Show the original instead of the result
+ */
+function showCardSide(item, showOriginal) {
+    if (!item.processedUrl) return;
+    item.showOriginal = showOriginal;
+
+    document.getElementById(`result-${item.id}`).src = showOriginal ? item.originalUrl : item.processedUrl;
+    const side = document.getElementById(`side-${item.id}`);
+    side.textContent = i18n.t(showOriginal ? 'compare.before' : 'compare.after');
+    side.classList.remove('hidden');
+    document.getElementById(`toggle-${item.id}`).textContent = i18n.t(showOriginal ? 'compare.after' : 'compare.before');
+}
+
+/**
+ * Show why an item may need a closer look, the originality tags carry the full warning as a tooltip
+ * @param {Object} item - Queue item
+ */
+function updateCardTags(item) {
+    const tags = [];
+    if (REVIEW_FILTERS.not_gemini(item) || REVIEW_FILTERS.not_original(item)) {
+        const key = item.isGoogle ? 'review.not_original' : 'review.not_gemini';
+        const title = getOriginalStatus({ is_google: item.isGoogle, is_original: item.original });
+        tags.push(`<span class="px-2 py-0.5 rounded-full bg-amber-50 text-warn text-xs" title="${title}">${i18n.t(key)}</span>`);
+    }
+    if (REVIEW_FILTERS.low_confidence(item)) {
+        tags.push(`<span class="px-2 py-0.5 rounded-full bg-amber-50 text-warn text-xs">${i18n.t('review.low_confidence')}</span>`);
+    }
+
+    const el = document.getElementById(`tags-${item.id}`);
+    if (el) el.innerHTML = tags.join('');
+}
+
+/**
+ * Mark an item accepted or rejected, only accepted items are downloaded with Download All
+ * @param {Object} item - Queue item
+ * @param {string|null} review - 'accepted', 'rejected' or null to clear
+ */
+function setReview(item, review) {
+    item.review = review;
+
+    const card = document.getElementById(`card-${item.id}`);
+    if (card) {
+        card.classList.toggle('ring-2', review === 'accepted');
+        card.classList.toggle('ring-emerald-400', review === 'accepted');
+        card.classList.toggle('opacity-60', review === 'rejected');
+    }
+    [['accept', 'accepted', ['bg-emerald-50', 'text-emerald-700', 'border-emerald-200']],
+        ['reject', 'rejected', ['bg-red-50', 'text-red-600', 'border-red-200']]].forEach(([action, value, classes]) => {
+        const button = document.getElementById(`${action}-${item.id}`);
+        if (!button) return;
+        const pressed = review === value;
+        button.setAttribute('aria-pressed', pressed);
+        classes.forEach(name => button.classList.toggle(name, pressed));
+    });
+    updateProgress();
+    persistItem(item);
+}
+
+/**
+ * Accept every completed item under the current filter
+ */
+function acceptShown() {
+    imageQueue
+        .filter(item => item.status === 'completed' && REVIEW_FILTERS[reviewFilter](item))
+        .forEach(item => setReview(item, 'accepted'));
+}
+
+/**
+ * Get the completed items marked accepted
+ * Items restored from a session count once their image is loaded, their names need its size.
+ * @returns {Object[]} Queue items
+ */
+function getAcceptedItems() {
+    return imageQueue.filter(item => item.status === 'completed' && item.review === 'accepted' && item.originalImg);
 }
 
 function updateDynamicTexts() {
     if (progressText.textContent) {
         updateProgress();
     }
+    imageQueue.forEach(item => {
+        updateCardTags(item);
+        if (item.status === 'completed') showCardSide(item, item.showOriginal);
+    });
+    if (resultView === 'diff') showResultView('diff');
+    if (isCustomMode) updateApplySameSize();
+    pauseQueueBtn.textContent = i18n.t(queuePaused ? 'queue.resume' : 'queue.pause');
+    updateCalibrationTexts();
+    updateHistoryTexts();
+    updateFilenamePreview();
+}
+
+/**
+ * Get the filename template values of a processed item
+ * @param {Object} item - Queue item
+ * @param {Date} [date] - Time to name by
+ * @returns {Object} {name, ext, width, height, index, count, date, wmSize}
+ */
+function getNameValues(item, date = new Date()) {
+    return {
+        name: item.name.replace(/\.[^.]+$/, ''),
+        ext: getExtension(item.processedBlob.type),
+        width: item.originalImg.width,
+        height: item.originalImg.height,
+        index: imageQueue.indexOf(item) + 1,
+        count: imageQueue.length,
+        date,
+        wmSize: item.result ? item.result.info.position : null
+    };
+}
+
+/**
+ * Get the download name of a processed item from the filename template
+ * @param {Object} item - Queue item
+ * @param {Date} [date] - Time to name by
+ * @returns {string}
+ */
+function getOutputName(item, date = new Date()) {
+    return formatFilename(namingSettings.file, getNameValues(item, date));
+}
+
+/**
+ * Get the name of a batch archive from the archive template
+ * @param {number} count - Number of images in the archive
+ * @param {Date} [date] - Time to name by
+ * @returns {string}
+ */
+function getArchiveName(count, date = new Date()) {
+    const name = formatFilename(namingSettings.archive, { count, date });
+    return /\.zip$/i.test(name) ? name : `${name}.zip`;
 }
 
 function downloadImage(item) {
     const a = document.createElement('a');
     a.href = item.processedUrl;
-    a.download = `unwatermarked_${item.name.replace(/\.[^.]+$/, '')}.png`;
+    a.download = getOutputName(item);
     a.click();
 }
 
 async function downloadAll() {
-    const completed = imageQueue.filter(item => item.status === 'completed');
-    if (completed.length === 0) return;
+    const accepted = getAcceptedItems();
+    if (accepted.length === 0) return;
 
+    // Results keep the folders they came from, clashing names get a number
     const zip = new JSZip();
-    completed.forEach(item => {
-        const filename = `unwatermarked_${item.name.replace(/\.[^.]+$/, '')}.png`;
-        zip.file(filename, item.processedBlob);
+    const used = new Set();
+    const date = new Date();
+    accepted.forEach(item => {
+        const folder = item.path.slice(0, item.path.length - item.name.length);
+        zip.file(getUniquePath(folder + getOutputName(item, date), used), item.processedBlob);
     });
 
     const blob = await zip.generateAsync({ type: 'blob' });
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = `unwatermarked_${Date.now()}.zip`;
+    a.href = url;
+    a.download = getArchiveName(accepted.length, date);
     a.click();
+    // The archive can be large, release it once the download has started
+    setTimeout(() => URL.revokeObjectURL(url));
 }
 
 init();
@@ -338,99 +1320,426 @@ init();
  */
 function setupCustomMode() {
     toggleCustomBtn.addEventListener('click', toggleCustomMode);
-
-    watermarkBox.addEventListener('mousedown', startDrag);
-    window.addEventListener('mousemove', onDrag);
-    window.addEventListener('mouseup', stopDrag);
+    addRegionBtn.addEventListener('click', addRegion);
+    applySameSizeBtn.addEventListener('click', applyToSameSize);
+    batchEditorDone.addEventListener('click', closeBatchEditor);
+    deleteRegionBtn.addEventListener('click', () => deleteRegion(selectedRegion));
+
+    watermarkOverlay.addEventListener('pointerdown', startDrag);
+    window.addEventListener('pointermove', onDrag);
+    window.addEventListener('pointerup', stopDrag);
+    window.addEventListener('pointercancel', cancelDrag);
     window.addEventListener('keydown', handleKeyDown);
 
+    // Two fingers anywhere on the original pinch-zoom it
+    originalViewport.addEventListener('pointerdown', startPinch);
+    originalViewport.addEventListener('pointermove', onPinch);
+    originalViewport.addEventListener('pointerup', stopPinch);
+    originalViewport.addEventListener('pointercancel', stopPinch);
+    originalViewport.addEventListener('wheel', (e) => {
+        if (!isCustomMode || !e.ctrlKey) return;
+        e.preventDefault();
+        zoomOriginalAt(viewZoom.scale * (e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP), e.clientX, e.clientY);
+    }, { passive: false });
+
     // Add window resize listener to update overlay position
     window.addEventListener('resize', () => {
-        if (isCustomMode && customPosition) {
-            updateWatermarkOverlay(customPosition);
+        if (isCustomMode && customRegions.length > 0) {
+            applyViewZoom();
+            renderRegions();
         }
     });
 }
 
 /**
  * Toggle custom watermark mode
+ * Turning it off goes back to automatic detection for the previewed image
  */
 function toggleCustomMode() {
-    isCustomMode = !isCustomMode;
-    const item = imageQueue[0];
+    const item = previewItem;
     if (!item || !item.originalImg) return;
 
     if (isCustomMode) {
-        // Switch style
-        toggleCustomBtn.classList.remove('bg-white', 'text-gray-600', 'border-gray-200');
-        toggleCustomBtn.classList.add('bg-emerald-50', 'text-emerald-600', 'border-emerald-200');
+        showCustomMode(false);
+        item.customRegions = null;
+        processSingle(item);
+    } else {
+        // Start from the item's own regions, or the detected box
+        customRegions = item.customRegions ? item.customRegions.map(region => ({ ...region })) : [];
+        showCustomMode(true);
+    }
+}
 
-        // Show overlay
-        watermarkOverlay.style.display = 'block';
-        zoom.detach(); // detach zoom to prevent interference
+/**
+ * Switch the region editor over the original on or off
+ * Only the editor state changes, the previewed image is not processed again.
+ * @param {boolean} enabled - Show the editor
+ */
+function showCustomMode(enabled) {
+    isCustomMode = enabled;
 
-        // Initial position (use existing custom or default)
-        if (!customPosition) {
-            const info = engine.getWatermarkInfo(item.originalImg.width, item.originalImg.height);
-            customPosition = info.position;
-        }
-        updateWatermarkOverlay(customPosition);
+    toggleCustomBtn.classList.toggle('bg-emerald-50', enabled);
+    toggleCustomBtn.classList.toggle('text-emerald-600', enabled);
+    toggleCustomBtn.classList.toggle('border-emerald-200', enabled);
+    toggleCustomBtn.classList.toggle('bg-white', !enabled);
+    toggleCustomBtn.classList.toggle('text-gray-600', !enabled);
+    toggleCustomBtn.classList.toggle('border-gray-200', !enabled);
+
+    watermarkOverlay.style.display = enabled ? 'block' : 'none';
+    customRegionTools.style.display = enabled ? 'block' : 'none';
+    originalViewport.classList.toggle('custom-mode', enabled);
+
+    if (enabled) {
+        zoom.detach(); // detach zoom to prevent interference
+        if (customRegions.length === 0) customRegions = [getDefaultRegion(previewItem)];
+        selectedRegion = 0;
+        renderRegions();
+        updateApplySameSize();
     } else {
-        // Revert style
-        toggleCustomBtn.classList.remove('bg-emerald-50', 'text-emerald-600', 'border-emerald-200');
-        toggleCustomBtn.classList.add('bg-white', 'text-gray-600', 'border-gray-200');
+        resetViewZoom();
+        if (zoom) zoom.attach('#originalImage'); // re-attach zoom
+        customRegions = [];
+        selectedRegion = -1;
+        // Snapping pixels are a full-resolution copy, only kept while editing
+        if (previewItem) previewItem.pixels = null;
+    }
+}
 
-        // Hide overlay
-        watermarkOverlay.style.display = 'none';
-        zoom.attach('#originalImage'); // re-attach zoom
+/**
+ * Open the region editor for a batch item in the single preview
+ * @param {Object} item - Queue item
+ */
+async function openBatchEditor(item) {
+    if (!item.originalImg || item.status === 'processing') return;
+
+    if (isCustomMode) showCustomMode(false);
+    previewItem = item;
+    clearDiff(item);
+    batchEditorName.textContent = item.name;
+    batchEditorBar.style.display = 'flex';
+    singlePreview.style.display = 'block';
+    singlePreview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    await processSingle(item, false);
+    await originalImage.decode().catch(() => {});
+    if (previewItem !== item) return;
+
+    customRegions = item.customRegions ? item.customRegions.map(region => ({ ...region })) : [];
+    showCustomMode(true);
+}
 
-        // Clear custom position and re-process
-        customPosition = null;
-        processSingle(item);
+/**
+ * Close the batch region editor and show the item's result on its card
+ */
+function closeBatchEditor() {
+    const item = previewItem;
+    showCustomMode(false);
+    previewItem = null;
+    batchEditorBar.style.display = 'none';
+    singlePreview.style.display = 'none';
+
+    if (!item) return;
+    reprocessItem(item);
+    document.getElementById(`card-${item.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Get the other batch items with the same dimensions as the previewed one
+ * @returns {Object[]} Queue items with a decoded image
+ */
+function getSameSizeItems() {
+    const item = previewItem;
+    if (!item || !item.originalImg) return [];
+    return imageQueue.filter(other => other !== item && other.originalImg &&
+        other.originalImg.width === item.originalImg.width && other.originalImg.height === item.originalImg.height);
+}
+
+function updateApplySameSize() {
+    const item = previewItem;
+    const count = getSameSizeItems().length;
+    applySameSizeBtn.style.display = imageQueue.length > 1 ? 'block' : 'none';
+    applySameSizeBtn.disabled = count === 0;
+    if (item && item.originalImg) {
+        applySameSizeBtn.textContent = `${i18n.t('region.applySameSize')} ${item.originalImg.width}×${item.originalImg.height} (${count})`;
+    }
+}
+
+/**
+ * Use the edited regions for every queued image of the same size and reprocess them
+ */
+function applyToSameSize() {
+    if (!isCustomMode || customRegions.length === 0) return;
+    const regions = customRegions.map(({ x, y, width, height }) => ({ x, y, width, height }));
+
+    previewItem.customRegions = regions;
+    getSameSizeItems().forEach(item => {
+        item.customRegions = regions.map(region => ({ ...region }));
+        reprocessItem(item);
+    });
+}
+
+/**
+ * Get the detected (or default) watermark box of an item
+ * @param {Object} item - Queue item with its decoded image
+ * @returns {Object} Region in image coordinates {x, y, width, height}
+ */
+function getDefaultRegion(item) {
+    const info = item.watermarkInfo || engine.getWatermarkInfo(item.originalImg.width, item.originalImg.height);
+    return { ...info.position };
+}
+
+/**
+ * Keep a region inside the image and at least the minimum size
+ * @param {Object} region - Region in image coordinates
+ * @param {HTMLImageElement} img - Original image
+ * @returns {Object} Clamped region
+ */
+function clampRegion(region, img) {
+    const width = Math.min(Math.max(MIN_REGION_SIZE, region.width), img.width);
+    const height = Math.min(Math.max(MIN_REGION_SIZE, region.height), img.height);
+    return {
+        x: Math.max(0, Math.min(region.x, img.width - width)),
+        y: Math.max(0, Math.min(region.y, img.height - height)),
+        width,
+        height
+    };
+}
+
+/**
+ * Get the original's pixels for snapping, decoded once per item while the region editor is open
+ * @param {Object} item - Queue item with its decoded image
+ * @returns {Object} Image data {width, height, data}
+ */
+function getOriginalPixels(item) {
+    if (!item.pixels) item.pixels = getImageData(item.originalImg);
+    return item.pixels;
+}
+
+/**
+ * Snap a region to the best matching watermark nearby and record its confidence
+ * @param {number} index - Region index
+ * @param {boolean} invert - Alt was held, which turns snapping on or off for this adjustment
+ */
+function snapCustomRegion(index, invert) {
+    const item = previewItem;
+    const region = customRegions[index];
+    if (!item || !item.originalImg || !region) return;
+
+    const pixels = getOriginalPixels(item);
+    if (snapToggle.checked === invert) {
+        customRegions[index] = { ...region, confidence: engine.matchProfileAt(pixels, region).score };
+        return;
     }
+
+    const { position, confidence } = engine.snapRegion(pixels, region);
+    customRegions[index] = { ...clampRegion(position, item.originalImg), confidence };
 }
 
 /**
- * Get image scale factor (Natural / Rendered)
+ * Add a region the size of the selected one, offset so both stay visible
+ */
+function addRegion() {
+    const item = previewItem;
+    if (!isCustomMode || !item || !item.originalImg) return;
+
+    const source = customRegions[selectedRegion] || getDefaultRegion(item);
+    const offset = Math.round(Math.max(source.width, source.height) / 2);
+    customRegions.push(clampRegion({ ...source, x: source.x - offset, y: source.y - offset }, item.originalImg));
+    selectedRegion = customRegions.length - 1;
+    renderRegions();
+    processSingle(item, false);
+}
+
+/**
+ * Delete a region, the last one is kept
+ * @param {number} index - Region index
+ */
+function deleteRegion(index) {
+    const item = previewItem;
+    if (!isCustomMode || !item || customRegions.length <= 1 || !customRegions[index]) return;
+
+    customRegions.splice(index, 1);
+    selectedRegion = Math.min(index, customRegions.length - 1);
+    renderRegions();
+    processSingle(item, false);
+}
+
+/**
+ * Get image scale factor (Natural / Rendered), not counting the pinch zoom
+ * Region boxes live inside the zoomed stage, so they use unzoomed pixels.
  */
 function getScaleFactor() {
-    const rect = originalImage.getBoundingClientRect();
-    if (rect.width === 0) return 1;
-    return originalImage.naturalWidth / rect.width;
+    const width = originalImage.clientWidth;
+    if (width === 0) return 1;
+    return originalImage.naturalWidth / width;
+}
+
+/**
+ * Apply the pinch zoom to the original, keeping the image over its viewport area
+ */
+function applyViewZoom() {
+    const { scale } = viewZoom;
+    viewZoom.x = Math.min(0, Math.max(viewZoom.x, originalStage.offsetWidth * (1 - scale)));
+    viewZoom.y = Math.min(0, Math.max(viewZoom.y, originalStage.offsetHeight * (1 - scale)));
+
+    originalStage.style.transform = scale === 1 ? '' : `translate(${viewZoom.x}px, ${viewZoom.y}px) scale(${scale})`;
+    originalStage.style.setProperty('--view-zoom', scale);
+}
+
+function resetViewZoom() {
+    viewZoom = { scale: 1, x: 0, y: 0 };
+    pinchState = null;
+    activePointers.clear();
+    applyViewZoom();
+}
+
+/**
+ * Get the stage position without the pinch zoom translation
+ * @returns {Object} Screen position {x, y}
+ */
+function getStageOrigin() {
+    const rect = originalStage.getBoundingClientRect();
+    return { x: rect.left - viewZoom.x, y: rect.top - viewZoom.y };
+}
+
+/**
+ * Zoom the original keeping a screen point over the same image pixel
+ * @param {number} scale - New zoom, clamped to 100%..800%
+ * @param {number} clientX - Screen x
+ * @param {number} clientY - Screen y
+ */
+function zoomOriginalAt(scale, clientX, clientY) {
+    const origin = getStageOrigin();
+    const localX = (clientX - origin.x - viewZoom.x) / viewZoom.scale;
+    const localY = (clientY - origin.y - viewZoom.y) / viewZoom.scale;
+
+    viewZoom.scale = Math.min(MAX_VIEW_ZOOM, Math.max(1, scale));
+    viewZoom.x = clientX - origin.x - localX * viewZoom.scale;
+    viewZoom.y = clientY - origin.y - localY * viewZoom.scale;
+    applyViewZoom();
+}
+
+/**
+ * Track pointers on the original, a second finger starts pinching
+ */
+function startPinch(e) {
+    if (!isCustomMode || e.pointerType !== 'touch') return;
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (activePointers.size !== 2) return;
+
+    // The first finger may have started moving a box, pinching wins
+    cancelDrag();
+
+    const [a, b] = [...activePointers.values()];
+    const origin = getStageOrigin();
+    const midX = (a.x + b.x) / 2;
+    const midY = (a.y + b.y) / 2;
+    pinchState = {
+        distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+        scale: viewZoom.scale,
+        origin,
+        localX: (midX - origin.x - viewZoom.x) / viewZoom.scale,
+        localY: (midY - origin.y - viewZoom.y) / viewZoom.scale
+    };
+}
+
+/**
+ * Zoom by the finger distance and pan with their midpoint
+ */
+function onPinch(e) {
+    if (!activePointers.has(e.pointerId)) return;
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!pinchState || activePointers.size !== 2) return;
+
+    const [a, b] = [...activePointers.values()];
+    const { origin } = pinchState;
+    const scale = pinchState.scale * Math.hypot(a.x - b.x, a.y - b.y) / pinchState.distance;
+
+    viewZoom.scale = Math.min(MAX_VIEW_ZOOM, Math.max(1, scale));
+    viewZoom.x = (a.x + b.x) / 2 - origin.x - pinchState.localX * viewZoom.scale;
+    viewZoom.y = (a.y + b.y) / 2 - origin.y - pinchState.localY * viewZoom.scale;
+    applyViewZoom();
+}
+
+function stopPinch(e) {
+    activePointers.delete(e.pointerId);
+    if (activePointers.size < 2) pinchState = null;
+}
+
+/**
+ * Rebuild the region boxes over the original image
+ */
+function renderRegions() {
+    watermarkOverlay.innerHTML = '';
+    customRegions.forEach((region, index) => {
+        const box = document.createElement('div');
+        box.className = 'watermark-box';
+        box.dataset.index = index;
+        box.classList.toggle('selected', index === selectedRegion);
+        box.innerHTML = `
+            <span class="watermark-label"></span>
+            ${RESIZE_HANDLES.map(handle =>
+                `<div class="resize-handle resize-${handle}" data-handle="${handle}"></div>`).join('')}
+        `;
+        watermarkOverlay.appendChild(box);
+        updateWatermarkOverlay(box, region);
+    });
+    deleteRegionBtn.disabled = customRegions.length <= 1;
 }
 
 /**
- * Update watermark overlay position and size
+ * Update a region box position, size and label
+ * @param {HTMLElement} box - Region box
  * @param {Object} pos - position in image coordinates
  */
-function updateWatermarkOverlay(pos) {
+function updateWatermarkOverlay(box, pos) {
     const scale = 1 / getScaleFactor();
 
-    watermarkBox.style.left = (pos.x * scale) + 'px';
-    watermarkBox.style.top = (pos.y * scale) + 'px';
-    watermarkBox.style.width = (pos.width * scale) + 'px';
-    watermarkBox.style.height = (pos.height * scale) + 'px';
+    box.style.left = (pos.x * scale) + 'px';
+    box.style.top = (pos.y * scale) + 'px';
+    box.style.width = (pos.width * scale) + 'px';
+    box.style.height = (pos.height * scale) + 'px';
+    const label = box.querySelector('.watermark-label');
+    label.textContent = `${Number(box.dataset.index) + 1} · ${pos.width}×${pos.height}`;
+    if (pos.confidence !== undefined) {
+        label.textContent += ` · ${Math.round(pos.confidence * 100)}%`;
+        label.dataset.confidence = pos.confidence >= HIGH_CONFIDENCE ? 'high' : pos.confidence >= MEDIUM_CONFIDENCE ? 'medium' : 'low';
+    } else {
+        delete label.dataset.confidence;
+    }
 }
 
 /**
- * Start dragging
+ * Start dragging, selecting the box under the pointer
  */
 function startDrag(e) {
+    const box = e.target.closest('.watermark-box');
+    if (!isCustomMode || !box || dragState || pinchState || e.button > 0) return;
     e.preventDefault();
-    if (!isCustomMode) return;
+
+    const index = Number(box.dataset.index);
+    if (index !== selectedRegion) {
+        selectedRegion = index;
+        watermarkOverlay.querySelectorAll('.watermark-box').forEach(other =>
+            other.classList.toggle('selected', other === box));
+    }
 
     const scale = getScaleFactor();
     const handle = e.target.getAttribute('data-handle');
 
     dragState = {
+        box,
+        index,
+        pointerId: e.pointerId,
         startX: e.clientX,
         startY: e.clientY,
-        startLeft: parseFloat(watermarkBox.style.left) || 0,
-        startTop: parseFloat(watermarkBox.style.top) || 0,
-        startWidth: parseFloat(watermarkBox.style.width) || 0,
-        startHeight: parseFloat(watermarkBox.style.height) || 0,
+        startLeft: parseFloat(box.style.left) || 0,
+        startTop: parseFloat(box.style.top) || 0,
+        startWidth: parseFloat(box.style.width) || 0,
+        startHeight: parseFloat(box.style.height) || 0,
         scale: scale,
-        handle: handle
+        handle: handle,
+        moved: false
     };
 }
 
@@ -438,11 +1747,14 @@ function startDrag(e) {
  * On dragging
  */
 function onDrag(e) {
-    if (!dragState) return;
+    if (!dragState || e.pointerId !== dragState.pointerId) return;
     e.preventDefault();
 
-    const deltaX = (e.clientX - dragState.startX); // Screen pixels
-    const deltaY = (e.clientY - dragState.startY);
+    const { box } = dragState;
+    const deltaX = (e.clientX - dragState.startX) / viewZoom.scale; // Unzoomed screen pixels
+    const deltaY = (e.clientY - dragState.startY) / viewZoom.scale;
+    const minSize = MIN_REGION_SIZE / dragState.scale;
+    dragState.moved = true;
 
     if (dragState.handle) {
         // Resizing
@@ -452,77 +1764,90 @@ function onDrag(e) {
         let newTop = dragState.startTop;
 
         if (dragState.handle.includes('e')) {
-            newWidth = Math.max(20, dragState.startWidth + deltaX);
+            newWidth = Math.max(minSize, dragState.startWidth + deltaX);
         }
         if (dragState.handle.includes('s')) {
-            newHeight = Math.max(20, dragState.startHeight + deltaY);
+            newHeight = Math.max(minSize, dragState.startHeight + deltaY);
         }
         if (dragState.handle.includes('w')) {
-            const w = Math.max(20, dragState.startWidth - deltaX);
+            const w = Math.max(minSize, dragState.startWidth - deltaX);
             newLeft = dragState.startLeft + (dragState.startWidth - w);
             newWidth = w;
         }
         if (dragState.handle.includes('n')) {
-            const h = Math.max(20, dragState.startHeight - deltaY);
+            const h = Math.max(minSize, dragState.startHeight - deltaY);
             newTop = dragState.startTop + (dragState.startHeight - h);
             newHeight = h;
         }
 
-        watermarkBox.style.width = newWidth + 'px';
-        watermarkBox.style.height = newHeight + 'px';
-        watermarkBox.style.left = newLeft + 'px';
-        watermarkBox.style.top = newTop + 'px';
+        box.style.width = newWidth + 'px';
+        box.style.height = newHeight + 'px';
+        box.style.left = newLeft + 'px';
+        box.style.top = newTop + 'px';
     } else {
         // Moving
         let newLeft = dragState.startLeft + deltaX;
         let newTop = dragState.startTop + deltaY;
 
-        watermarkBox.style.left = newLeft + 'px';
-        watermarkBox.style.top = newTop + 'px';
+        box.style.left = newLeft + 'px';
+        box.style.top = newTop + 'px';
     }
 }
 
 /**
  * Stop dragging
  */
-function stopDrag() {
-    if (!dragState) return;
+function stopDrag(e) {
+    if (!dragState || e.pointerId !== dragState.pointerId) return;
+    const { box, index, moved } = dragState;
     dragState = null;
 
-    // Update customPosition and process
-    const scale = getScaleFactor();
+    // A click only selects the box
+    if (!moved) return;
 
-    const domLeft = parseFloat(watermarkBox.style.left) || 0;
-    const domTop = parseFloat(watermarkBox.style.top) || 0;
-    const domWidth = parseFloat(watermarkBox.style.width) || 0;
-    const domHeight = parseFloat(watermarkBox.style.height) || 0;
+    // Update the region and process
+    const scale = getScaleFactor();
+    const item = previewItem;
+    if (!item || !item.originalImg) return;
 
-    customPosition = {
-        x: Math.round(domLeft * scale),
-        y: Math.round(domTop * scale),
-        width: Math.round(domWidth * scale),
-        height: Math.round(domHeight * scale)
-    };
-
-    // Ensure bounds
-    const item = imageQueue[0];
-    if (item && item.originalImg) {
-        customPosition.x = Math.max(0, Math.min(customPosition.x, item.originalImg.width - customPosition.width));
-        customPosition.y = Math.max(0, Math.min(customPosition.y, item.originalImg.height - customPosition.height));
-    }
+    customRegions[index] = clampRegion({
+        x: Math.round((parseFloat(box.style.left) || 0) * scale),
+        y: Math.round((parseFloat(box.style.top) || 0) * scale),
+        width: Math.round((parseFloat(box.style.width) || 0) * scale),
+        height: Math.round((parseFloat(box.style.height) || 0) * scale)
+    }, item.originalImg);
+    snapCustomRegion(index, e.altKey);
+    updateWatermarkOverlay(box, customRegions[index]);
 
     // Trigger process
-    if (item) {
-        processSingle(item, false);
-    }
+    processSingle(item, false);
+}
+
+/**
+ * Abandon a drag, putting the box back where it was
+ */
+function cancelDrag() {
+    if (!dragState) return;
+    const { box, index } = dragState;
+    dragState = null;
+    if (customRegions[index]) updateWatermarkOverlay(box, customRegions[index]);
 }
 
 /**
- * Handle keyboard navigation
+ * Handle keyboard navigation of the selected region
  */
 let processTimeout;
 function handleKeyDown(e) {
-    if (!isCustomMode || !customPosition) return;
+    const region = customRegions[selectedRegion];
+    if (!isCustomMode || !region) return;
+    if (e.target.closest('input, select, textarea')) return;
+
+    const item = previewItem;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteRegion(selectedRegion);
+        return;
+    }
 
     // Check if key is relevant
     if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) return;
@@ -530,7 +1855,7 @@ function handleKeyDown(e) {
     e.preventDefault();
 
     const step = 1;
-    let { x, y, width, height } = customPosition;
+    let { x, y, width, height } = region;
 
     if (e.shiftKey) {
         // Resize
@@ -551,11 +1876,10 @@ function handleKeyDown(e) {
     }
 
     // Ensure bounds and minimum size
-    const item = imageQueue[0];
     if (item && item.originalImg) {
         // Minimum size 20x20
-        width = Math.max(20, width);
-        height = Math.max(20, height);
+        width = Math.max(MIN_REGION_SIZE, width);
+        height = Math.max(MIN_REGION_SIZE, height);
 
         // Ensure within image bounds
         // If moving, we clamp x,y so box stays inside
@@ -569,13 +1893,18 @@ function handleKeyDown(e) {
         }
     }
 
-    customPosition = { x, y, width, height };
-    updateWatermarkOverlay(customPosition);
+    const index = selectedRegion;
+    const box = watermarkOverlay.querySelector(`.watermark-box[data-index="${index}"]`);
+    customRegions[index] = { x, y, width, height };
+    if (box) updateWatermarkOverlay(box, customRegions[index]);
 
-    // Debounce processing
+    // Debounce snapping and processing, held keys move the box freely until released
+    const invert = e.altKey;
     if (processTimeout) clearTimeout(processTimeout);
     processTimeout = setTimeout(() => {
         if (item) {
+            snapCustomRegion(index, invert);
+            if (box) updateWatermarkOverlay(box, customRegions[index]);
             processSingle(item, false);
         }
     }, 50);
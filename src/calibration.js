@@ -0,0 +1,252 @@
+/**
+ * Calibration panel
+ * Solve alpha maps from sample images and manage the registered watermark profiles
+ */
+
+import i18n from './i18n.js';
+import { loadImage } from './utils.js';
+import { getImageData } from './canvas.js';
+import { calculateWatermarkPosition } from './core/watermarkEngine.js';
+import { createCalibrationSample, estimateSurroundingColor, solveAlphaMap } from './core/calibration.js';
+import { createProfile, parseProfiles, serializeProfiles } from './core/profile.js';
+import { ProfileRegistry } from './core/profileRegistry.js';
+
+const PROFILE_STORAGE_KEY = 'watermarkProfiles';
+const LEGACY_PROFILE_STORAGE_KEY = 'watermarkProfile';   // Single version 1 profile
+const RESIDUAL_GAIN = 16;   // Residual heatmap amplification
+
+const calibrateBtn = document.getElementById('calibrateBtn');
+const calibrationSection = document.getElementById('calibrationSection');
+const calibrationMode = document.getElementById('calibrationMode');
+const calibrationWatermarked = document.getElementById('calibrationWatermarked');
+const calibrationCleanField = document.getElementById('calibrationCleanField');
+const calibrationClean = document.getElementById('calibrationClean');
+const calibrationSize = document.getElementById('calibrationSize');
+const calibrationMargin = document.getElementById('calibrationMargin');
+const calibrationSolveBtn = document.getElementById('calibrationSolveBtn');
+const calibrationStatus = document.getElementById('calibrationStatus');
+const calibrationAlpha = document.getElementById('calibrationAlpha');
+const calibrationResidual = document.getElementById('calibrationResidual');
+const calibrationStats = document.getElementById('calibrationStats');
+const calibrationApplyBtn = document.getElementById('calibrationApplyBtn');
+const profileExportBtn = document.getElementById('profileExportBtn');
+const profileImportBtn = document.getElementById('profileImportBtn');
+const profileImportInput = document.getElementById('profileImportInput');
+const profileResetBtn = document.getElementById('profileResetBtn');
+const activeProfile = document.getElementById('activeProfile');
+
+let calibrationEngine = null;
+
+/**
+ * Load profiles saved by a previous session
+ * @returns {Object[]} Profiles added or replaced by the user, empty when none are saved or they are invalid
+ */
+export function loadSavedProfiles() {
+    const json = localStorage.getItem(PROFILE_STORAGE_KEY) || localStorage.getItem(LEGACY_PROFILE_STORAGE_KEY);
+    if (!json) return [];
+
+    try {
+        return parseProfiles(json);
+    } catch (error) {
+        console.warn('saved profiles ignored:', error);
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+        return [];
+    } finally {
+        localStorage.removeItem(LEGACY_PROFILE_STORAGE_KEY);
+    }
+}
+
+/**
+ * Show names and alpha map sizes of the registered profiles
+ */
+function renderActiveProfile() {
+    const profiles = calibrationEngine.registry.list()
+        .map(profile => `${profile.name} (${profile.width}×${profile.height})`)
+        .join(', ');
+    activeProfile.textContent = `${i18n.t('calibration.active')}: ${profiles}`;
+}
+
+/**
+ * Refresh texts built at runtime after a language switch
+ */
+export function updateCalibrationTexts() {
+    if (calibrationEngine) renderActiveProfile();
+}
+
+/**
+ * Draw single-channel values onto a canvas
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Float32Array} values - Values, row-major
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {Function} toColor - Maps a value to [r, g, b]
+ */
+function drawMap(canvas, values, width, height, toColor) {
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+
+    for (let i = 0; i < values.length; i++) {
+        const [r, g, b] = toColor(values[i]);
+        imageData.data[i * 4] = r;
+        imageData.data[i * 4 + 1] = g;
+        imageData.data[i * 4 + 2] = b;
+        imageData.data[i * 4 + 3] = 255;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+}
+
+/**
+ * setup calibration panel
+ * @param {WatermarkEngine} engine - Engine whose profile registry is managed
+ * @param {Object[]} [savedProfiles] - Profiles restored from a previous session, already registered
+ * @param {Function} [onChange] - Called after the registry changes
+ */
+export function setupCalibration(engine, savedProfiles = [], onChange = () => {}) {
+    let solved = null;
+    calibrationEngine = engine;
+    // Built-in profiles ship with the app, only those the user added or replaced are saved
+    const saved = new Map(savedProfiles.map(profile => [profile.id, profile]));
+
+    const showStatus = (message, type = '') => {
+        calibrationStatus.textContent = message;
+        calibrationStatus.classList.toggle('text-err', type === 'error');
+        calibrationStatus.classList.toggle('text-success', type === 'success');
+    };
+
+    const useProfiles = profiles => {
+        profiles.forEach(profile => {
+            engine.registry.register(profile);
+            saved.set(profile.id, profile);
+        });
+        localStorage.setItem(PROFILE_STORAGE_KEY, serializeProfiles([...saved.values()]));
+        renderActiveProfile();
+        onChange();
+    };
+
+    renderActiveProfile();
+
+    calibrateBtn.addEventListener('click', () => {
+        calibrationSection.style.display = 'block';
+        calibrationSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    calibrationMode.addEventListener('change', () => {
+        calibrationCleanField.style.display = calibrationMode.value === 'pair' ? 'block' : 'none';
+    });
+
+    calibrationSize.addEventListener('change', () => {
+        // Gemini keeps the margin at 2/3 of the logo size
+        calibrationMargin.value = Math.round(Number(calibrationSize.value) * 2 / 3);
+    });
+
+    calibrationSolveBtn.addEventListener('click', async () => {
+        const watermarkedFiles = Array.from(calibrationWatermarked.files);
+        const cleanFiles = Array.from(calibrationClean.files);
+        const isPair = calibrationMode.value === 'pair';
+        const logoSize = Number(calibrationSize.value);
+        const margin = Number(calibrationMargin.value);
+
+        if (watermarkedFiles.length === 0) {
+            showStatus(i18n.t('calibration.error.samples'), 'error');
+            return;
+        }
+        if (isPair && cleanFiles.length !== watermarkedFiles.length) {
+            showStatus(i18n.t('calibration.error.pairs'), 'error');
+            return;
+        }
+
+        try {
+            showStatus(i18n.t('status.processing'));
+
+            const samples = await Promise.all(watermarkedFiles.map(async (file, index) => {
+                const imageData = getImageData(await loadImage(file));
+                const position = calculateWatermarkPosition(imageData.width, imageData.height, {
+                    logoSize,
+                    marginRight: margin,
+                    marginBottom: margin
+                });
+                const background = isPair
+                    ? getImageData(await loadImage(cleanFiles[index]))
+                    : estimateSurroundingColor(imageData, position);
+
+                return createCalibrationSample(imageData, position, background);
+            }));
+
+            const result = solveAlphaMap(samples, logoSize, logoSize);
+            solved = { ...result, width: logoSize, height: logoSize, margin };
+
+            drawMap(calibrationAlpha, result.alphaMap, logoSize, logoSize, value => {
+                const v = Math.round(value * 255);
+                return [v, v, v];
+            });
+            drawMap(calibrationResidual, result.residual, logoSize, logoSize, value => {
+                const v = Math.min(255, Math.round(value * RESIDUAL_GAIN));
+                return [v, 0, 255 - v];
+            });
+
+            calibrationStats.innerHTML = `
+                <p>${i18n.t('calibration.logo')}: rgb(${result.logoColor.map(Math.round).join(', ')})</p>
+                <p>${i18n.t('calibration.rms')}: ${result.rms.toFixed(3)}</p>
+            `;
+            calibrationApplyBtn.disabled = false;
+            showStatus('');
+        } catch (error) {
+            console.error(error);
+            showStatus(error.message, 'error');
+        }
+    });
+
+    calibrationApplyBtn.addEventListener('click', () => {
+        if (!solved) return;
+
+        // Replace the registered capture of the same size, keeping its size rule
+        const { width, height } = solved;
+        const replaced = engine.registry.list().find(profile => profile.width === width && profile.height === height);
+        useProfiles([createProfile({
+            id: replaced ? replaced.id : `calibrated-${width}`,
+            name: `Calibrated ${width}×${height} ${new Date().toISOString().slice(0, 10)}`,
+            family: replaced ? replaced.family : 'gemini',
+            width,
+            height,
+            alphaMap: solved.alphaMap,
+            logoColor: solved.logoColor,
+            placement: { ...replaced?.placement, marginX: solved.margin, marginY: solved.margin },
+            appliesTo: replaced?.appliesTo
+        })]);
+        showStatus(i18n.t('calibration.applied'), 'success');
+    });
+
+    profileExportBtn.addEventListener('click', () => {
+        const blob = new Blob([serializeProfiles(engine.registry.list())], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `watermark-profile_${Date.now()}.json`;
+        a.click();
+    });
+
+    profileImportBtn.addEventListener('click', () => profileImportInput.click());
+    profileImportInput.addEventListener('change', async () => {
+        const file = profileImportInput.files[0];
+        profileImportInput.value = '';
+        if (!file) return;
+
+        try {
+            useProfiles(parseProfiles(await file.text()));
+            showStatus(i18n.t('calibration.applied'), 'success');
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    });
+
+    profileResetBtn.addEventListener('click', () => {
+        engine.registry = new ProfileRegistry();
+        saved.clear();
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+        renderActiveProfile();
+        onChange();
+        showStatus(i18n.t('calibration.applied'), 'success');
+    });
+}
@@ -0,0 +1,79 @@
+/**
+ * Canvas adapter
+ * Bridge between DOM images/canvases and the DOM-free watermark engine.
+ * Falls back to OffscreenCanvas where there is no document (workers).
+ */
+
+/**
+ * Create a canvas of given size
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createCanvas(width, height) {
+    if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Read RGBA pixels of an image
+ * Pixels are read in the given colour space, so wide-gamut colours are not clamped to sRGB.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Input image
+ * @param {string} [colorSpace] - 'srgb' or 'display-p3'
+ * @returns {ImageData} Image pixels
+ */
+export function getImageData(image, colorSpace = 'srgb') {
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d', { colorSpace, willReadFrequently: true });
+
+    ctx.drawImage(image, 0, 0);
+
+    return ctx.getImageData(0, 0, canvas.width, canvas.height, { colorSpace });
+}
+
+/**
+ * Decode an image file into RGBA pixels
+ * @param {Blob} file - Image file
+ * @param {Object} [options] - {colorSpaceConversion, colorSpace}, see output.js decodeInput
+ * @returns {Promise<ImageData>} Image pixels
+ */
+export async function decodeImage(file, { colorSpaceConversion = 'default', colorSpace = 'srgb' } = {}) {
+    const bitmap = await createImageBitmap(file, { colorSpaceConversion });
+    try {
+        return getImageData(bitmap, colorSpace);
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Paint RGBA pixels onto a new canvas of their colour space
+ * @param {Object} imageData - Image data {width, height, data, colorSpace}
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas holding the pixels
+ */
+export function imageDataToCanvas({ width, height, data, colorSpace = 'srgb' }) {
+    const canvas = createCanvas(width, height);
+
+    canvas.getContext('2d', { colorSpace }).putImageData(new ImageData(data, width, height, { colorSpace }), 0, 0);
+
+    return canvas;
+}
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => canvas.convertToBlob
+    ? canvas.convertToBlob({ type, quality })
+    : new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+/**
+ * Remove watermark from image element
+ * @param {WatermarkEngine} engine - Watermark engine
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Input image
+ * @param {Object|Object[]} [customPosition] - Optional custom watermark position(s) {x, y, width, height}
+ * @param {Object} [options] - Engine options, see WatermarkEngine#removeWatermarkFromImageData
+ * @returns {Promise<Object>} Result {canvas, position, info, presence, removed}
+ */
+export async function removeWatermarkFromImage(engine, image, customPosition = null, options = {}) {
+    const { imageData, ...result } = engine.removeWatermarkFromImageData(getImageData(image), customPosition, options);
+    return { canvas: imageDataToCanvas(imageData), ...result };
+}
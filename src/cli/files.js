@@ -0,0 +1,163 @@
+/**
+ * Input discovery for the command-line tool
+ * Expand files, directories and glob patterns into a list of image files
+ */
+
+import { readdir, stat } from 'node:fs/promises';
+import { basename, extname, join, relative, resolve, sep } from 'node:path';
+
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+export const OUTPUT_PREFIX = 'unwatermarked_';
+
+/**
+ * Check whether path looks like a supported image
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+export function isImageFile(path) {
+    return IMAGE_EXTENSIONS.includes(extname(path).toLowerCase());
+}
+
+/**
+ * Check whether pattern contains glob syntax
+ * @param {string} pattern - Input argument
+ * @returns {boolean}
+ */
+export function hasGlobMagic(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`; paths use `/` as separator
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // `**/` matches zero or more directories
+                const slash = pattern[i + 2] === '/';
+                source += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split glob pattern into its static base directory and the pattern relative to it
+ * @param {string} pattern - Glob pattern
+ * @returns {Object} {base, relativePattern}
+ */
+export function splitGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const index = segments.findIndex(hasGlobMagic);
+    const base = segments.slice(0, index).join('/') || '.';
+
+    return { base, relativePattern: segments.slice(index).join('/') };
+}
+
+/**
+ * Recursively list files under a directory
+ * @param {string} dir - Directory
+ * @param {boolean} recursive - Descend into sub directories
+ * @returns {Promise<string[]>} File paths
+ */
+async function walk(dir, recursive) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...await walk(path, recursive));
+        } else if (entry.isFile()) {
+            files.push(path);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Expand command-line inputs into image files
+ * Files found in directories or through globs skip previous outputs,
+ * explicitly named files are always kept.
+ * @param {string[]} inputs - Files, directories or glob patterns
+ * @param {Object} options - {recursive, exclude, written}; exclude is a directory to skip,
+ *     written a set of absolute paths this run has written
+ * @returns {Promise<Object>} {files, errors}, files are [{path, base}] where `base` is the root used to keep relative structure
+ */
+export async function collectInputs(inputs, { recursive = false, exclude = null, written = null } = {}) {
+    const files = new Map();
+    const errors = [];
+    const excludeDir = exclude ? resolve(exclude) + sep : null;
+
+    const add = (path, base, discovered) => {
+        const absolute = resolve(path);
+        if (files.has(absolute) || !isImageFile(path)) return;
+        if (discovered) {
+            if (basename(path).startsWith(OUTPUT_PREFIX)) return;
+            if (written && written.has(absolute)) return;
+            if (excludeDir && absolute.startsWith(excludeDir)) return;
+        }
+        files.set(absolute, { path, base });
+    };
+
+    for (const input of inputs) {
+        try {
+            if (hasGlobMagic(input)) {
+                const { base, relativePattern } = splitGlob(input);
+                const matcher = globToRegExp(relativePattern);
+                const deep = relativePattern.includes('**') || relativePattern.includes('/');
+
+                for (const path of await walk(base, deep)) {
+                    if (matcher.test(relative(base, path).split(sep).join('/'))) add(path, base, true);
+                }
+                continue;
+            }
+
+            const stats = await stat(input);
+            if (stats.isDirectory()) {
+                for (const path of await walk(input, recursive)) add(path, input, true);
+            } else {
+                add(input, null, false);
+            }
+        } catch (error) {
+            errors.push({ input, error });
+        }
+    }
+
+    return { files: [...files.values()], errors };
+}
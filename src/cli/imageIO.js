@@ -0,0 +1,61 @@
+/**
+ * Image file reading and writing for the command-line tool
+ * Decodes files into the RGBA buffers the core engine works on
+ */
+
+import { readFile } from 'node:fs/promises';
+import sharp from 'sharp';
+
+/**
+ * Decode image file into RGBA pixels
+ * @param {string} path - Image file path
+ * @returns {Promise<Object>} {imageData: {width, height, data}, format, hasAlpha, bytes}, bytes is the file itself
+ */
+export async function readImage(path) {
+    const bytes = await readFile(path);
+    const image = sharp(bytes);
+    const { format, hasAlpha } = await image.metadata();
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    return {
+        imageData: {
+            width: info.width,
+            height: info.height,
+            data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length)
+        },
+        format,
+        hasAlpha,
+        bytes: new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length)
+    };
+}
+
+/**
+ * Encode RGBA pixels into an image file
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Object} options - {format, hasAlpha}, format is png, jpeg or webp
+ * @returns {Promise<Uint8Array>} Encoded file, without metadata
+ */
+export async function encodeImage({ width, height, data }, { format, hasAlpha = true }) {
+    let image = sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+        raw: { width, height, channels: 4 }
+    });
+
+    if (!hasAlpha) image = image.removeAlpha();
+
+    switch (format) {
+        case 'jpeg':
+            image = image.jpeg({ quality: 100, chromaSubsampling: '4:4:4' });
+            break;
+        case 'webp':
+            image = image.webp({ lossless: true });
+            break;
+        case 'png':
+            image = image.png();
+            break;
+        default:
+            throw new Error(`Unsupported output format: ${format}`);
+    }
+
+    const encoded = await image.toBuffer();
+    return new Uint8Array(encoded.buffer, encoded.byteOffset, encoded.length);
+}
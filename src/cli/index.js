@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool
+ * Batch remove Gemini watermarks from files, directories and glob patterns
+ */
+
+import { parseArgs } from 'node:util';
+import { copyFile, mkdir, readFile, stat, writeFile, constants } from 'node:fs/promises';
+import { watch } from 'node:fs';
+import { basename, dirname, extname, join, relative, resolve } from 'node:path';
+import { createRequire } from 'node:module';
+import { WatermarkEngine, countChangedOutside } from '../core/watermarkEngine.js';
+import { parseProfiles } from '../core/profile.js';
+import { ProfileRegistry } from '../core/profileRegistry.js';
+import { patchJpeg } from '../core/jpeg.js';
+import { METADATA_GROUPS, readMetadata, writeMetadata } from '../core/metadata.js';
+import { validateTemplate, formatFilename } from '../core/filename.js';
+import { collectInputs, hasGlobMagic, splitGlob, OUTPUT_PREFIX } from './files.js';
+import { readImage, encodeImage } from './imageIO.js';
+
+const require = createRequire(import.meta.url);
+const pkg = require('../../package.json');
+
+const REMOVAL_MODES = ['auto', 'lossless', 'inpaint'];
+
+const HELP = `Usage: gemini-watermark-remover [options] <file|dir|glob...>
+
+Remove Gemini watermarks from images (PNG, JPEG, WebP).
+
+Options:
+  -o, --output <dir>     Write results to <dir>, keeping relative folder structure
+  -n, --name <template>  Output file name template with tokens {name} {ext} {width} {height}
+                         {index} {count} {date} {wmSize}, e.g. "{name}_clean.{ext}"
+                         (default ${OUTPUT_PREFIX}{name}.{ext}, or the input name with --output)
+  -i, --in-place         Overwrite input files (original is kept as <file>.bak)
+      --no-backup        Do not keep a backup in --in-place mode
+  -r, --recursive        Descend into sub directories
+      --region <x,y,w,h> Use a custom watermark region instead of auto detection; repeat
+                         for images with several watermarks
+  -f, --force            Process images even when no watermark is found or the check is uncertain
+  -m, --mode <mode>      lossless, inpaint or auto (default): auto inpaints the logo
+                         footprint only when reverse blending leaves a visible residue
+      --resized          Look for a resized watermark when none is found at the exact sizes,
+                         for images that were scaled after generation
+  -p, --profile <file>   Add watermark profiles from a JSON file exported from the calibration
+                         panel; profiles with a built-in id replace it (repeatable)
+      --metadata <list>  Metadata copied to the output: any of exif,xmp,iptc,icc, or none
+                         (default all)
+  -w, --watch            Keep running and process new or changed files
+  -h, --help             Show this help
+  -v, --version          Show version
+
+Without --output or --in-place, results are written next to the input
+as ${OUTPUT_PREFIX}<name>.`;
+
+/**
+ * Parse --region value
+ * @param {string} value - Region in "x,y,w,h" form
+ * @returns {Object} Watermark position {x, y, width, height}
+ */
+function parseRegion(value) {
+    const parts = value.split(',').map(part => Number(part.trim()));
+    if (parts.length !== 4 || parts.some(n => !Number.isInteger(n) || n < 0) || parts[2] === 0 || parts[3] === 0) {
+        throw new Error(`Invalid --region "${value}", expected x,y,w,h in whole pixels`);
+    }
+
+    const [x, y, width, height] = parts;
+    return { x, y, width, height };
+}
+
+/**
+ * Resolve where the cleaned image for an input file goes
+ * @param {Object} file - Input file {path, base}
+ * @param {Object} options - CLI options
+ * @param {Object} values - Filename template values {width, height, index, count, wmSize}
+ * @returns {string} Output path
+ * @throws {Error} When the name template would overwrite the input
+ */
+function resolveOutputPath(file, options, values) {
+    if (options.inPlace) return file.path;
+
+    const ext = extname(file.path);
+    const name = options.name
+        ? formatFilename(options.name, { ...values, name: basename(file.path, ext), ext: ext.slice(1) })
+        : null;
+
+    let outputPath;
+    if (options.output) {
+        const relativePath = file.base ? relative(file.base, file.path) : basename(file.path);
+        outputPath = join(options.output, name ? join(dirname(relativePath), name) : relativePath);
+    } else {
+        outputPath = join(dirname(file.path), name || `${OUTPUT_PREFIX}${basename(file.path)}`);
+    }
+
+    if (resolve(outputPath) === resolve(file.path)) {
+        throw new Error('Output name equals the input, use --in-place to overwrite it');
+    }
+    return outputPath;
+}
+
+/**
+ * Write a cleaned image
+ * JPEG inputs are patched in place of a full re-encode, so only the blocks
+ * under the watermark change; other formats, and JPEGs that cannot be patched, are re-encoded.
+ * The selected metadata groups of the input are copied into the output.
+ * @param {string} outputPath - Output file path
+ * @param {Object} input - Decoded input {imageData, format, hasAlpha, bytes}
+ * @param {Object} result - Engine result {imageData, regions}
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+async function writeOutput(outputPath, input, { imageData, regions }, options) {
+    let encoded = null;
+    if (input.format === 'jpeg') {
+        try {
+            encoded = patchJpeg(input.bytes, input.imageData, imageData, regions);
+        } catch (error) {
+            console.warn(`⚠️  ${outputPath}: ${error.message}, re-encoding`);
+        }
+    }
+    if (!encoded) encoded = await encodeImage(imageData, input);
+
+    const drift = countChangedOutside(input.imageData, imageData, regions);
+    if (drift > 0) {
+        console.warn(`⚠️  ${outputPath}: ${drift} pixels outside the watermark regions changed`);
+    }
+
+    try {
+        encoded = await writeMetadata(encoded, await readMetadata(input.bytes), { groups: options.metadata });
+    } catch (error) {
+        console.warn(`⚠️  ${outputPath}: metadata not copied (${error.message})`);
+    }
+    await writeFile(outputPath, encoded);
+}
+
+/**
+ * Parse --metadata value
+ * @param {string} value - Comma-separated groups, or "none"
+ * @returns {string[]} Groups to keep
+ */
+function parseMetadata(value) {
+    if (value === 'none') return [];
+
+    const groups = value.split(',').map(group => group.trim().toLowerCase());
+    const unknown = groups.filter(group => !METADATA_GROUPS.includes(group));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown --metadata group "${unknown[0]}", expected ${METADATA_GROUPS.join(', ')} or none`);
+    }
+    return groups;
+}
+
+/**
+ * Remove watermark from a single file
+ * @param {WatermarkEngine} engine - Watermark engine
+ * @param {Object} file - Input file {path, base}
+ * @param {Object} options - CLI options
+ * @param {Object} [position] - Place in the batch {index, count}, 1-based, for the name template
+ * @param {Set<string>} [written] - Absolute output paths written so far, the output is added
+ * @returns {Promise<Object>} {outputPath, profile, mode, presence}, outputPath is null when skipped because
+ *     the watermark was not found for certain
+ */
+async function processFile(engine, file, options, position = {}, written = new Set()) {
+    const input = await readImage(file.path);
+    const { imageData } = input;
+    const { regions } = options;
+
+    if (regions && regions.some(region => region.x + region.width > imageData.width || region.y + region.height > imageData.height)) {
+        throw new Error(`Region exceeds image bounds (${imageData.width}×${imageData.height})`);
+    }
+
+    const result = engine.removeWatermarkFromImageData(imageData, regions, {
+        // Regions given by hand are removed even where detection finds nothing
+        skipUnlessPresent: !options.force && !regions,
+        estimateScale: options.resized ? 'auto' : false,
+        mode: options.mode
+    });
+    if (!result.removed) return { outputPath: null, presence: result.presence };
+
+    const outputPath = resolveOutputPath(file, options, {
+        ...position,
+        width: imageData.width,
+        height: imageData.height,
+        wmSize: result.info.position
+    });
+
+    if (options.inPlace && options.backup) {
+        // Never overwrite an existing backup, it may hold the only untouched original
+        await copyFile(file.path, `${file.path}.bak`, constants.COPYFILE_EXCL).catch(error => {
+            if (error.code !== 'EEXIST') throw error;
+        });
+    }
+
+    await mkdir(dirname(outputPath), { recursive: true });
+    // Outputs next to the inputs must not be picked up as inputs by later scans
+    if (!options.inPlace) written.add(resolve(outputPath));
+    await writeOutput(outputPath, input, result, options);
+
+    return { outputPath, profile: result.info.profile, mode: result.accuracy.mode, presence: result.presence };
+}
+
+/**
+ * Process files one after another, skipping those already seen with the same mtime
+ * @param {WatermarkEngine} engine - Watermark engine
+ * @param {Object[]} files - Input files
+ * @param {Object} options - CLI options
+ * @param {Map<string, number>} seen - Path to last processed mtime
+ * @param {Set<string>} written - Absolute output paths written so far
+ * @returns {Promise<Object>} Counts {processed, skipped, failed}
+ */
+async function processFiles(engine, files, options, seen, written) {
+    let processed = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const [i, file] of files.entries()) {
+        try {
+            const { mtimeMs } = await stat(file.path);
+            if (seen.get(file.path) === mtimeMs) continue;
+
+            const result = await processFile(engine, file, options, { index: i + 1, count: files.length }, written);
+            if (result.outputPath) {
+                processed++;
+                console.log(`✅ ${file.path} → ${result.outputPath} (${result.profile.name}, ${result.mode})`);
+            } else {
+                skipped++;
+                const reason = result.presence.verdict === 'uncertain'
+                    ? `watermark uncertain (${Math.round(result.presence.score * 100)}% match)`
+                    : 'no watermark found';
+                console.log(`⏭️  ${file.path}: ${reason}, skipped (use --force to process it)`);
+            }
+
+            // In-place results change the input mtime, remember it so watch mode does not loop
+            seen.set(file.path, options.inPlace ? (await stat(file.path)).mtimeMs : mtimeMs);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${file.path}: ${error.message}`);
+        }
+    }
+
+    return { processed, skipped, failed };
+}
+
+/**
+ * Collect inputs and report the ones that could not be read
+ * @returns {Promise<Object>} {files, failed}
+ */
+async function collect(inputs, options, written) {
+    const { files, errors } = await collectInputs(inputs, { recursive: options.recursive, exclude: options.output, written });
+    errors.forEach(({ input, error }) => console.error(`❌ ${input}: ${error.message}`));
+    return { files, failed: errors.length };
+}
+
+/**
+ * Watch input locations and process new or changed files
+ */
+function watchInputs(engine, inputs, options, seen, written) {
+    const targets = new Map();
+
+    for (const input of inputs) {
+        if (hasGlobMagic(input)) {
+            targets.set(splitGlob(input).base, true);
+        } else {
+            targets.set(input, options.recursive);
+        }
+    }
+
+    let debounceTimer = null;
+    let running = Promise.resolve();
+
+    const rescan = () => {
+        running = running.then(async () => {
+            const { files } = await collect(inputs, options, written);
+            await processFiles(engine, files, options, seen, written);
+        });
+    };
+
+    for (const [target, recursive] of targets) {
+        stat(target).then(stats => {
+            const dir = stats.isDirectory() ? target : dirname(target);
+            watch(dir, { recursive }, () => {
+                if (debounceTimer) clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(rescan, 300);
+            });
+        }).catch(error => console.error(`❌ ${target}: ${error.message}`));
+    }
+
+    console.log('👀 Watching for changes...');
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            name: { type: 'string', short: 'n' },
+            'in-place': { type: 'boolean', short: 'i', default: false },
+            'no-backup': { type: 'boolean', default: false },
+            recursive: { type: 'boolean', short: 'r', default: false },
+            region: { type: 'string', multiple: true },
+            force: { type: 'boolean', short: 'f', default: false },
+            mode: { type: 'string', short: 'm', default: 'auto' },
+            resized: { type: 'boolean', default: false },
+            profile: { type: 'string', short: 'p', multiple: true },
+            metadata: { type: 'string', default: METADATA_GROUPS.join(',') },
+            watch: { type: 'boolean', short: 'w', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+            version: { type: 'boolean', short: 'v', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(HELP);
+        return 0;
+    }
+    if (values.version) {
+        console.log(pkg.version);
+        return 0;
+    }
+    if (positionals.length === 0) {
+        console.error(HELP);
+        return 2;
+    }
+    if (values.output && values['in-place']) {
+        throw new Error('--output and --in-place cannot be used together');
+    }
+    if (values.name && values['in-place']) {
+        throw new Error('--name and --in-place cannot be used together');
+    }
+    if (!REMOVAL_MODES.includes(values.mode)) {
+        throw new Error(`--mode must be one of: ${REMOVAL_MODES.join(', ')}`);
+    }
+
+    const options = {
+        output: values.output,
+        name: values.name ? validateTemplate(values.name) : null,
+        inPlace: values['in-place'],
+        backup: !values['no-backup'],
+        recursive: values.recursive,
+        regions: values.region ? values.region.map(parseRegion) : null,
+        force: values.force,
+        mode: values.mode,
+        resized: values.resized,
+        metadata: parseMetadata(values.metadata)
+    };
+
+    const registry = new ProfileRegistry();
+    for (const path of values.profile || []) {
+        parseProfiles(await readFile(path, 'utf8')).forEach(profile => registry.register(profile));
+    }
+    const engine = await WatermarkEngine.create(registry);
+    const seen = new Map();
+    const written = new Set();
+
+    const collected = await collect(positionals, options, written);
+    if (collected.files.length === 0 && !values.watch) {
+        console.error('No images found');
+        return 1;
+    }
+
+    const total = collected.files.length;
+    const { processed, skipped, failed } = await processFiles(engine, collected.files, options, seen, written);
+    console.log(`Processed ${processed}/${total} images${skipped ? `, ${skipped} skipped` : ''}${failed ? `, ${failed} failed` : ''}`);
+
+    if (values.watch) {
+        watchInputs(engine, positionals, options, seen, written);
+        return null;
+    }
+
+    return failed + collected.failed > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    if (code !== null) process.exitCode = code;
+}).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,244 @@
+/**
+ * Comparison view
+ * Overlay the original and the result in one viewport, split by a draggable
+ * divider or toggled by pressing and holding, with shared zoom and pan up to 800%
+ */
+
+const MAX_ZOOM = 8;             // 800% of the image's own pixels
+const ZOOM_STEP = 1.25;         // Per button press or wheel notch
+const FOCUS_FILL = 0.4;         // Share of the viewport the watermark box fills when focused
+const PIXELATED_ZOOM = 2;       // Show hard pixel edges from this zoom on
+
+const compareView = document.getElementById('compareView');
+const compareLayer = document.getElementById('compareLayer');
+const compareBefore = document.getElementById('compareBefore');
+const compareAfter = document.getElementById('compareAfter');
+const compareDivider = document.getElementById('compareDivider');
+const compareBeforeLabel = document.getElementById('compareBeforeLabel');
+const compareAfterLabel = document.getElementById('compareAfterLabel');
+const compareToolbar = document.getElementById('compareToolbar');
+const compareModes = document.getElementById('compareModes');
+const compareZoomOut = document.getElementById('compareZoomOut');
+const compareZoomIn = document.getElementById('compareZoomIn');
+const compareZoomValue = document.getElementById('compareZoomValue');
+const compareFitBtn = document.getElementById('compareFitBtn');
+const compareFocusBtn = document.getElementById('compareFocusBtn');
+
+// View state: split is a share of the viewport width, x/y the image offset in viewport pixels
+const state = { mode: 'split', split: 0.5, scale: 1, x: 0, y: 0, focus: null, holding: false };
+let drag = null;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function getImageSize() {
+    return { width: compareBefore.naturalWidth, height: compareBefore.naturalHeight };
+}
+
+function getMinZoom() {
+    const { width, height } = getImageSize();
+    return Math.min(1, compareView.clientWidth / width, compareView.clientHeight / height);
+}
+
+/**
+ * Keep the image inside the viewport, centred along axes where it is smaller
+ */
+function clampPan() {
+    const { width, height } = getImageSize();
+    const viewWidth = compareView.clientWidth;
+    const viewHeight = compareView.clientHeight;
+    const scaledWidth = width * state.scale;
+    const scaledHeight = height * state.scale;
+
+    state.x = scaledWidth <= viewWidth ? (viewWidth - scaledWidth) / 2 : clamp(state.x, viewWidth - scaledWidth, 0);
+    state.y = scaledHeight <= viewHeight ? (viewHeight - scaledHeight) / 2 : clamp(state.y, viewHeight - scaledHeight, 0);
+}
+
+function render() {
+    const { width, height } = getImageSize();
+    const split = state.mode === 'split';
+
+    compareLayer.style.width = `${width}px`;
+    compareLayer.style.height = `${height}px`;
+    compareLayer.style.transform = `translate(${state.x}px, ${state.y}px) scale(${state.scale})`;
+    compareLayer.classList.toggle('pixelated', state.scale >= PIXELATED_ZOOM);
+
+    // The result covers the right of the divider, clipped in image pixels
+    if (split) {
+        const left = (state.split * compareView.clientWidth - state.x) / state.scale;
+        compareAfter.style.clipPath = `inset(0 0 0 ${clamp(left, 0, width)}px)`;
+    } else {
+        compareAfter.style.clipPath = state.holding ? 'inset(0 0 0 100%)' : 'none';
+    }
+
+    compareDivider.style.display = split ? 'block' : 'none';
+    compareDivider.style.left = `${state.split * 100}%`;
+    compareBeforeLabel.style.display = split || state.holding ? 'block' : 'none';
+    compareAfterLabel.style.display = split || !state.holding ? 'block' : 'none';
+    compareZoomValue.textContent = `${Math.round(state.scale * 100)}%`;
+
+    compareModes.querySelectorAll('button[data-mode]').forEach(button => {
+        const active = button.dataset.mode === state.mode;
+        button.classList.toggle('bg-emerald-50', active);
+        button.classList.toggle('text-emerald-700', active);
+    });
+}
+
+/**
+ * Zoom keeping a viewport point over the same image pixel
+ * @param {number} scale - New zoom, clamped to fit..800%
+ * @param {number} [cx] - Viewport x, centre by default
+ * @param {number} [cy] - Viewport y, centre by default
+ */
+function zoomTo(scale, cx = compareView.clientWidth / 2, cy = compareView.clientHeight / 2) {
+    const next = clamp(scale, getMinZoom(), MAX_ZOOM);
+    state.x = cx - (cx - state.x) * next / state.scale;
+    state.y = cy - (cy - state.y) * next / state.scale;
+    state.scale = next;
+    clampPan();
+    render();
+}
+
+function fit() {
+    const { width, height } = getImageSize();
+    state.scale = clamp(Math.min(compareView.clientWidth / width, compareView.clientHeight / height), getMinZoom(), MAX_ZOOM);
+    clampPan();
+    render();
+}
+
+/**
+ * Zoom into the watermark box with the divider across it
+ */
+function focusWatermark() {
+    if (!state.focus) {
+        fit();
+        return;
+    }
+
+    const { x, y, width, height } = state.focus;
+    const viewWidth = compareView.clientWidth;
+    const viewHeight = compareView.clientHeight;
+
+    state.scale = clamp(Math.min(viewWidth, viewHeight) * FOCUS_FILL / Math.max(width, height), getMinZoom(), MAX_ZOOM);
+    state.x = viewWidth / 2 - (x + width / 2) * state.scale;
+    state.y = viewHeight / 2 - (y + height / 2) * state.scale;
+    state.split = 0.5;
+    clampPan();
+    render();
+}
+
+function setHolding(holding) {
+    if (state.mode !== 'hold' || state.holding === holding) return;
+    state.holding = holding;
+    render();
+}
+
+/**
+ * setup pointer, wheel and keyboard handling of the comparison view
+ */
+export function setupCompare() {
+    compareView.addEventListener('pointerdown', (e) => {
+        if (compareToolbar.contains(e.target) || e.button > 0) return;
+
+        compareView.setPointerCapture(e.pointerId);
+        if (e.target === compareDivider) {
+            drag = { type: 'split' };
+        } else {
+            drag = { type: 'pan', startX: e.clientX, startY: e.clientY, x: state.x, y: state.y };
+            compareView.classList.add('panning');
+        }
+        setHolding(true);
+    });
+
+    compareView.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+
+        if (drag.type === 'split') {
+            const rect = compareView.getBoundingClientRect();
+            state.split = clamp((e.clientX - rect.left) / rect.width, 0, 1);
+        } else {
+            state.x = drag.x + e.clientX - drag.startX;
+            state.y = drag.y + e.clientY - drag.startY;
+            clampPan();
+        }
+        render();
+    });
+
+    const endDrag = () => {
+        drag = null;
+        compareView.classList.remove('panning');
+        setHolding(false);
+    };
+    compareView.addEventListener('pointerup', endDrag);
+    compareView.addEventListener('pointercancel', endDrag);
+
+    compareView.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = compareView.getBoundingClientRect();
+        zoomTo(state.scale * (e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP), e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    compareView.addEventListener('dblclick', (e) => {
+        if (compareToolbar.contains(e.target)) return;
+        if (state.scale > getMinZoom() * 1.01) fit();
+        else focusWatermark();
+    });
+
+    // Space holds the original in hold mode
+    compareView.addEventListener('keydown', (e) => {
+        if (e.code !== 'Space') return;
+        e.preventDefault();
+        setHolding(true);
+    });
+    compareView.addEventListener('keyup', (e) => {
+        if (e.code === 'Space') setHolding(false);
+    });
+
+    compareModes.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-mode]');
+        if (!button) return;
+        state.mode = button.dataset.mode;
+        state.holding = false;
+        render();
+    });
+    compareZoomIn.addEventListener('click', () => zoomTo(state.scale * ZOOM_STEP));
+    compareZoomOut.addEventListener('click', () => zoomTo(state.scale / ZOOM_STEP));
+    compareFitBtn.addEventListener('click', fit);
+    compareFocusBtn.addEventListener('click', focusWatermark);
+
+    window.addEventListener('resize', () => {
+        if (compareView.offsetParent === null || !compareBefore.naturalWidth) return;
+        state.scale = clamp(state.scale, getMinZoom(), MAX_ZOOM);
+        clampPan();
+        render();
+    });
+}
+
+/**
+ * Show an original and its result, the view must be visible
+ * A new original starts zoomed into the watermark, a new result of the same
+ * original keeps zoom and pan so the same spot can be judged again.
+ * @param {string} beforeSrc - Original image URL
+ * @param {string} afterSrc - Result image URL
+ * @param {Object} [focus] - Watermark position {x, y, width, height}
+ */
+export async function showCompare(beforeSrc, afterSrc, focus = null) {
+    const sameOriginal = compareBefore.src === beforeSrc && compareBefore.naturalWidth > 0;
+
+    compareBefore.src = beforeSrc;
+    compareAfter.src = afterSrc;
+    state.focus = focus;
+
+    try {
+        await Promise.all([compareBefore.decode(), compareAfter.decode()]);
+    } catch (error) {
+        console.error('compare images failed to load:', error);
+        return;
+    }
+
+    if (sameOriginal) {
+        clampPan();
+        render();
+    } else {
+        focusWatermark();
+    }
+}
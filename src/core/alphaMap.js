@@ -5,7 +5,7 @@
 
 /**
  * Calculate alpha map from background captured image
- * @param {ImageData} bgCaptureImageData -ImageData object for background capture
+ * @param {ImageData|Object} bgCaptureImageData - ImageData (or {width, height, data}) of background capture
  * @returns {Float32Array} Alpha map (value range 0.0-1.0)
  */
 export function calculateAlphaMap(bgCaptureImageData) {
@@ -28,3 +28,59 @@ export function calculateAlphaMap(bgCaptureImageData) {
 
     return alphaMap;
 }
+
+/**
+ * Decode a built-in alpha map entry (one base64 byte per pixel)
+ * @param {Object} entry - Alpha map entry {width, height, data}
+ * @returns {Float32Array} Alpha map (value range 0.0-1.0)
+ */
+export function decodeAlphaMap(entry) {
+    const binary = atob(entry.data);
+    const alphaMap = new Float32Array(entry.width * entry.height);
+
+    for (let i = 0; i < alphaMap.length; i++) {
+        alphaMap[i] = binary.charCodeAt(i) / 255.0;
+    }
+
+    return alphaMap;
+}
+
+/**
+ * Resize alpha map using bilinear interpolation
+ * Pixel centers are aligned the same way canvas drawImage does it
+ * @param {Float32Array} alphaMap - Source alpha map
+ * @param {number} srcWidth - Source width
+ * @param {number} srcHeight - Source height
+ * @param {number} dstWidth - Target width
+ * @param {number} dstHeight - Target height
+ * @returns {Float32Array} Resized alpha map
+ */
+export function resizeAlphaMap(alphaMap, srcWidth, srcHeight, dstWidth, dstHeight) {
+    if (srcWidth === dstWidth && srcHeight === dstHeight) {
+        return new Float32Array(alphaMap);
+    }
+
+    const resized = new Float32Array(dstWidth * dstHeight);
+    const scaleX = srcWidth / dstWidth;
+    const scaleY = srcHeight / dstHeight;
+
+    for (let row = 0; row < dstHeight; row++) {
+        const sy = Math.min(Math.max((row + 0.5) * scaleY - 0.5, 0), srcHeight - 1);
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(y0 + 1, srcHeight - 1);
+        const fy = sy - y0;
+
+        for (let col = 0; col < dstWidth; col++) {
+            const sx = Math.min(Math.max((col + 0.5) * scaleX - 0.5, 0), srcWidth - 1);
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(x0 + 1, srcWidth - 1);
+            const fx = sx - x0;
+
+            const top = alphaMap[y0 * srcWidth + x0] * (1 - fx) + alphaMap[y0 * srcWidth + x1] * fx;
+            const bottom = alphaMap[y1 * srcWidth + x0] * (1 - fx) + alphaMap[y1 * srcWidth + x1] * fx;
+            resized[row * dstWidth + col] = top * (1 - fy) + bottom * fy;
+        }
+    }
+
+    return resized;
+}
@@ -3,10 +3,8 @@
  * Core algorithm for removing watermarks
  */
 
-// Constants definition
-const ALPHA_THRESHOLD = 0.002;  // Ignore very small alpha values (noise)
-const MAX_ALPHA = 0.99;          // Avoid division by near-zero values
-const LOGO_VALUE = 255;          // Color value for white watermark
+// Results this far outside [0, 255] cannot come from rounding alone
+const CLIP_TOLERANCE = 2;
 
 /**
  * Remove watermark using reverse alpha blending
@@ -15,12 +13,24 @@ const LOGO_VALUE = 255;          // Color value for white watermark
  * Gemini adds watermark: watermarked = α × logo + (1 - α) × original
  * Reverse solve: original = (watermarked - α × logo) / (1 - α)
  *
- * @param {ImageData} imageData - Image data to process (will be modified in place)
+ * Pixels whose result had to be clipped, or whose alpha reaches the profile's repairAlpha
+ * share of the alpha map's peak, cannot be trusted and are flagged in the returned mask for repair.
+ *
+ * @param {ImageData|Object} imageData - Image data {width, height, data} to process (will be modified in place)
  * @param {Float32Array} alphaMap - Alpha channel data
  * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {Object} profile - Watermark profile {logoColor, alphaThreshold, maxAlpha, repairAlpha}, see profile.js
+ * @returns {Uint8Array} Unreliable pixels (1) within position, row-major
  */
-export function removeWatermark(imageData, alphaMap, position) {
+export function removeWatermark(imageData, alphaMap, position, profile) {
     const { x, y, width, height } = position;
+    const { logoColor, alphaThreshold, maxAlpha, repairAlpha } = profile;
+    const unreliable = new Uint8Array(width * height);
+
+    // Near-opaque is relative to the map: Gemini's logo peaks around alpha 0.5
+    let peakAlpha = 0;
+    for (let i = 0; i < width * height; i++) peakAlpha = Math.max(peakAlpha, alphaMap[i]);
+    const repairLimit = repairAlpha * peakAlpha;
 
     // Process each pixel in the watermark area
     for (let row = 0; row < height; row++) {
@@ -35,12 +45,22 @@ export function removeWatermark(imageData, alphaMap, position) {
             let alpha = alphaMap[alphaIdx];
 
             // Skip very small alpha values (noise)
-            if (alpha < ALPHA_THRESHOLD) {
+            if (alpha < alphaThreshold) {
+                continue;
+            }
+
+            // Fully transparent pixels have no visible colour to restore
+            if (imageData.data[imgIdx + 3] === 0) {
                 continue;
             }
 
+            // The map's most opaque pixels hold the least of the original
+            if (alpha >= repairLimit) {
+                unreliable[alphaIdx] = 1;
+            }
+
             // Limit alpha value to avoid division by near-zero
-            alpha = Math.min(alpha, MAX_ALPHA);
+            alpha = Math.min(alpha, maxAlpha);
             const oneMinusAlpha = 1.0 - alpha;
 
             // Apply reverse alpha blending to each RGB channel
@@ -48,7 +68,11 @@ export function removeWatermark(imageData, alphaMap, position) {
                 const watermarked = imageData.data[imgIdx + c];
 
                 // Reverse alpha blending formula
-                const original = (watermarked - alpha * LOGO_VALUE) / oneMinusAlpha;
+                const original = (watermarked - alpha * logoColor[c]) / oneMinusAlpha;
+
+                if (original < -CLIP_TOLERANCE || original > 255 + CLIP_TOLERANCE) {
+                    unreliable[alphaIdx] = 1;
+                }
 
                 // Clip to [0, 255] range
                 imageData.data[imgIdx + c] = Math.max(0, Math.min(255, Math.round(original)));
@@ -58,4 +82,6 @@ export function removeWatermark(imageData, alphaMap, position) {
             // imageData.data[imgIdx + 3] does not need modification
         }
     }
+
+    return unreliable;
 }
@@ -0,0 +1,179 @@
+/**
+ * Alpha map calibration
+ * Solve a float alpha map and logo colour from watermarked samples
+ *
+ * Each sample pairs the watermarked pixels with the background under the
+ * watermark, either a known solid colour or a clean copy of the image:
+ *   watermarked = α × logo + (1 - α) × background
+ * α (per pixel) and logo (per channel) are solved by alternating least squares.
+ */
+
+const DEFAULT_ITERATIONS = 30;
+const UNIFORM_BACKGROUND_RANGE = 1;   // Luminance range below which backgrounds count as a single colour
+
+/**
+ * Extract RGB values of a region as floats
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Object} position - Region {x, y, width, height}
+ * @returns {Float32Array} RGB triplets, row-major
+ */
+function extractRgb(imageData, position) {
+    const { x, y, width, height } = position;
+    const rgb = new Float32Array(width * height * 3);
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const src = ((y + row) * imageData.width + (x + col)) * 4;
+            const dst = (row * width + col) * 3;
+            rgb[dst] = imageData.data[src];
+            rgb[dst + 1] = imageData.data[src + 1];
+            rgb[dst + 2] = imageData.data[src + 2];
+        }
+    }
+
+    return rgb;
+}
+
+/**
+ * Estimate a solid background colour from the pixels around the watermark
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number} [border] - Width of the surrounding ring in pixels
+ * @returns {number[]} Median colour [r, g, b]
+ */
+export function estimateSurroundingColor(imageData, position, border = 8) {
+    const channels = [[], [], []];
+    const left = Math.max(0, position.x - border);
+    const top = Math.max(0, position.y - border);
+    const right = Math.min(imageData.width, position.x + position.width + border);
+    const bottom = Math.min(imageData.height, position.y + position.height + border);
+
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            const inside = x >= position.x && x < position.x + position.width && y >= position.y && y < position.y + position.height;
+            if (inside) continue;
+            const idx = (y * imageData.width + x) * 4;
+            for (let c = 0; c < 3; c++) channels[c].push(imageData.data[idx + c]);
+        }
+    }
+
+    return channels.map(values => {
+        if (values.length === 0) return 0;
+        values.sort((a, b) => a - b);
+        return values[values.length >> 1];
+    });
+}
+
+/**
+ * Create calibration sample
+ * @param {Object} watermarked - Watermarked image data {width, height, data}
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number[]|Object} background - Known background colour [r, g, b], or clean image data of the same size
+ * @returns {Object} Sample {watermarked, background}, RGB float regions
+ */
+export function createCalibrationSample(watermarked, position, background) {
+    if (position.x < 0 || position.y < 0 || position.x + position.width > watermarked.width || position.y + position.height > watermarked.height) {
+        throw new Error('Watermark position is outside the sample image');
+    }
+
+    let backgroundRgb;
+    if (Array.isArray(background)) {
+        backgroundRgb = new Float32Array(position.width * position.height * 3);
+        for (let i = 0; i < backgroundRgb.length; i++) backgroundRgb[i] = background[i % 3];
+    } else {
+        if (background.width !== watermarked.width || background.height !== watermarked.height) {
+            throw new Error('Clean image size does not match watermarked image');
+        }
+        backgroundRgb = extractRgb(background, position);
+    }
+
+    return { watermarked: extractRgb(watermarked, position), background: backgroundRgb };
+}
+
+/**
+ * Solve alpha map and logo colour from samples
+ * With a single uniform background, α and logo colour cannot be told apart,
+ * so the logo colour is kept at its initial value.
+ * @param {Object[]} samples - Calibration samples, all of the same size
+ * @param {number} width - Watermark width
+ * @param {number} height - Watermark height
+ * @param {Object} [options] - {iterations, logoColor}: initial / fixed logo colour
+ * @returns {Object} {alphaMap, logoColor, residual, rms}, residual is per-pixel RMS error
+ */
+export function solveAlphaMap(samples, width, height, options = {}) {
+    const { iterations = DEFAULT_ITERATIONS } = options;
+    const pixels = width * height;
+    const logoColor = [...(options.logoColor || [255, 255, 255])];
+    const alphaMap = new Float32Array(pixels);
+
+    if (samples.length === 0) {
+        throw new Error('No calibration samples');
+    }
+
+    // Logo colour is only observable when backgrounds vary
+    let minLuma = Infinity;
+    let maxLuma = -Infinity;
+    for (const { background } of samples) {
+        for (let i = 0; i < pixels; i++) {
+            const luma = 0.299 * background[i * 3] + 0.587 * background[i * 3 + 1] + 0.114 * background[i * 3 + 2];
+            minLuma = Math.min(minLuma, luma);
+            maxLuma = Math.max(maxLuma, luma);
+        }
+    }
+    const solveLogo = !options.logoColor && maxLuma - minLuma > UNIFORM_BACKGROUND_RANGE;
+
+    for (let iteration = 0; iteration < (solveLogo ? iterations : 1); iteration++) {
+        // α step: per pixel least squares of (W - B) = α (L - B)
+        for (let i = 0; i < pixels; i++) {
+            let num = 0;
+            let den = 0;
+            for (const { watermarked, background } of samples) {
+                for (let c = 0; c < 3; c++) {
+                    const diff = logoColor[c] - background[i * 3 + c];
+                    num += (watermarked[i * 3 + c] - background[i * 3 + c]) * diff;
+                    den += diff * diff;
+                }
+            }
+            alphaMap[i] = den > 0 ? Math.min(1, Math.max(0, num / den)) : 0;
+        }
+
+        if (!solveLogo) break;
+
+        // Logo step: per channel least squares of W - (1 - α) B = α L
+        for (let c = 0; c < 3; c++) {
+            let num = 0;
+            let den = 0;
+            for (const { watermarked, background } of samples) {
+                for (let i = 0; i < pixels; i++) {
+                    const alpha = alphaMap[i];
+                    num += alpha * (watermarked[i * 3 + c] - (1 - alpha) * background[i * 3 + c]);
+                    den += alpha * alpha;
+                }
+            }
+            if (den > 0) logoColor[c] = Math.min(255, Math.max(0, num / den));
+        }
+    }
+
+    // Residual of the fitted model
+    const residual = new Float32Array(pixels);
+    let total = 0;
+    for (let i = 0; i < pixels; i++) {
+        let sum = 0;
+        for (const { watermarked, background } of samples) {
+            for (let c = 0; c < 3; c++) {
+                const predicted = alphaMap[i] * logoColor[c] + (1 - alphaMap[i]) * background[i * 3 + c];
+                const error = watermarked[i * 3 + c] - predicted;
+                sum += error * error;
+            }
+        }
+        residual[i] = Math.sqrt(sum / (samples.length * 3));
+        total += sum;
+    }
+
+    return {
+        alphaMap,
+        logoColor,
+        residual,
+        rms: Math.sqrt(total / (pixels * samples.length * 3))
+    };
+}
@@ -0,0 +1,372 @@
+/**
+ * Watermark detector
+ * Locate the watermark by normalized cross-correlation (NCC) between image
+ * luminance and the alpha map, instead of relying on fixed size rules
+ */
+
+const COARSE_TEMPLATE_SIZE = 24;  // Template size used for the coarse search pass
+const REFINE_CANDIDATES = 3;      // Number of coarse peaks refined at full resolution
+
+// Presence check settings
+const PRESENT_SCORE = 0.5;         // NCC at or above this means the logo is visible
+const ABSENT_SCORE = 0.2;          // NCC below this means no logo-shaped signal
+const HIGH_ALPHA = 0.2;            // Pixels used for the feasibility test
+const VIOLATION_TOLERANCE = 8;     // Luminance slack for compression noise
+const MAX_VIOLATION_RATIO = 0.1;   // Share of impossible pixels tolerated
+const BACKGROUND_ALPHA = 0.01;     // Pixels this transparent show the background around the logo
+
+/**
+ * Get a box of given size in one corner of the image
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {number} size - Box side, clipped to the image
+ * @param {string} [anchor] - 'bottom-right', 'bottom-left', 'top-right' or 'top-left'
+ * @returns {Object} Region {x, y, width, height}
+ */
+export function getCornerRegion(imageWidth, imageHeight, size, anchor = 'bottom-right') {
+    const width = Math.min(imageWidth, size);
+    const height = Math.min(imageHeight, size);
+
+    return {
+        x: anchor.endsWith('right') ? imageWidth - width : 0,
+        y: anchor.startsWith('bottom') ? imageHeight - height : 0,
+        width,
+        height
+    };
+}
+
+/**
+ * Get the image area searched for a watermark of given size
+ * Corner of the placement anchor, large enough to cover crops and padding around the default margins
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {number} logoSize - Watermark size
+ * @param {string} [anchor] - Placement anchor, bottom-right by default
+ * @returns {Object} Search region {x, y, width, height}
+ */
+export function getSearchRegion(imageWidth, imageHeight, logoSize, anchor = 'bottom-right') {
+    return getCornerRegion(imageWidth, imageHeight, Math.max(384, Math.ceil(logoSize * 6)), anchor);
+}
+
+/**
+ * Get the sign a logo leaves on luminance
+ * A light logo brightens pixels in the shape of the alpha map, a dark one darkens them.
+ * @param {number[]} logoColor - Logo colour [r, g, b]
+ * @returns {number} 1 for light logos, -1 for dark ones
+ */
+export function getLogoPolarity(logoColor) {
+    return 0.299 * logoColor[0] + 0.587 * logoColor[1] + 0.114 * logoColor[2] >= 128 ? 1 : -1;
+}
+
+/**
+ * Extract luminance of an image region
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Object} region - Region {x, y, width, height}
+ * @returns {Float32Array} Luminance values (0-255), row-major within region
+ */
+export function getLuminance(imageData, region) {
+    const { x, y, width, height } = region;
+    const gray = new Float32Array(width * height);
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const idx = ((y + row) * imageData.width + (x + col)) * 4;
+            gray[row * width + col] = 0.299 * imageData.data[idx] + 0.587 * imageData.data[idx + 1] + 0.114 * imageData.data[idx + 2];
+        }
+    }
+
+    return gray;
+}
+
+/**
+ * Downsample a single-channel buffer by box averaging
+ * @returns {Object} {data, width, height}
+ */
+function downsample(src, width, height, factor) {
+    const dstWidth = Math.floor(width / factor);
+    const dstHeight = Math.floor(height / factor);
+    const dst = new Float32Array(dstWidth * dstHeight);
+    const area = factor * factor;
+
+    for (let row = 0; row < dstHeight; row++) {
+        for (let col = 0; col < dstWidth; col++) {
+            let sum = 0;
+            for (let dy = 0; dy < factor; dy++) {
+                const offset = (row * factor + dy) * width + col * factor;
+                for (let dx = 0; dx < factor; dx++) {
+                    sum += src[offset + dx];
+                }
+            }
+            dst[row * dstWidth + col] = sum / area;
+        }
+    }
+
+    return { data: dst, width: dstWidth, height: dstHeight };
+}
+
+/**
+ * Prepare zero-mean template for NCC
+ * Polarity -1 flips the template so dark logos score positive.
+ * @returns {Object} {data, width, height, norm}
+ */
+export function prepareTemplate(alphaMap, width, height, polarity = 1) {
+    let mean = 0;
+    for (let i = 0; i < alphaMap.length; i++) mean += alphaMap[i];
+    mean /= alphaMap.length;
+
+    const data = new Float32Array(alphaMap.length);
+    let sumSq = 0;
+    for (let i = 0; i < alphaMap.length; i++) {
+        data[i] = (alphaMap[i] - mean) * polarity;
+        sumSq += data[i] * data[i];
+    }
+
+    return { data, width, height, norm: Math.sqrt(sumSq) };
+}
+
+/**
+ * NCC of template against buffer at offset (x, y)
+ * @returns {number} Score in [-1, 1], 0 when either side is flat
+ */
+export function nccAt(gray, grayWidth, template, x, y) {
+    const { data, width, height, norm } = template;
+    const n = width * height;
+    let sum = 0;
+    let sumSq = 0;
+    let cross = 0;
+
+    for (let row = 0; row < height; row++) {
+        const offset = (y + row) * grayWidth + x;
+        for (let col = 0; col < width; col++) {
+            const p = gray[offset + col];
+            sum += p;
+            sumSq += p * p;
+            cross += data[row * width + col] * p;
+        }
+    }
+
+    const variance = sumSq - (sum * sum) / n;
+    if (norm === 0 || variance <= 1e-6 * n) return 0;
+
+    return cross / (norm * Math.sqrt(variance));
+}
+
+/**
+ * Score how well the alpha map matches the image at a given position
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} alphaMap - Alpha map sized to position
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number} [polarity] - Logo polarity from getLogoPolarity(), light logo by default
+ * @returns {number} NCC score in [-1, 1]
+ */
+export function scoreWatermark(imageData, alphaMap, position, polarity = 1) {
+    const gray = getLuminance(imageData, position);
+    const template = prepareTemplate(alphaMap, position.width, position.height, polarity);
+    return nccAt(gray, position.width, template, 0, 0);
+}
+
+/**
+ * Check whether the watermark is present at a position
+ *
+ * Two tests against what the alpha map predicts:
+ * - Correlation: watermarked pixels brighten (or darken, for dark logos) in the shape of the alpha map (NCC)
+ * - Feasibility: watermarked = α × logo + (1 - α) × original always lies between α × logo and
+ *   α × logo + (1 - α) × 255, so many pixels outside that range under strong alpha mean
+ *   there is nothing to remove
+ *
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} alphaMap - Alpha map sized to position
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number[]} logoColor - Watermark logo colour [r, g, b]
+ * @returns {Object} {verdict: 'present'|'absent'|'uncertain', score, violationRatio}
+ */
+export function checkWatermarkPresence(imageData, alphaMap, position, logoColor) {
+    const gray = getLuminance(imageData, position);
+    const template = prepareTemplate(alphaMap, position.width, position.height, getLogoPolarity(logoColor));
+    const score = nccAt(gray, position.width, template, 0, 0);
+
+    const logoLuma = 0.299 * logoColor[0] + 0.587 * logoColor[1] + 0.114 * logoColor[2];
+    let samples = 0;
+    let violations = 0;
+    for (let i = 0; i < gray.length; i++) {
+        const alpha = alphaMap[i];
+        if (alpha < HIGH_ALPHA) continue;
+        samples++;
+        const low = alpha * logoLuma;
+        const high = low + (1 - alpha) * 255;
+        if (gray[i] < low - VIOLATION_TOLERANCE || gray[i] > high + VIOLATION_TOLERANCE) violations++;
+    }
+    const violationRatio = samples ? violations / samples : 0;
+
+    let verdict = 'uncertain';
+    if (violationRatio > MAX_VIOLATION_RATIO || score < ABSENT_SCORE) {
+        verdict = 'absent';
+    } else if (score >= PRESENT_SCORE) {
+        verdict = 'present';
+    }
+
+    return { verdict, score, violationRatio };
+}
+
+/**
+ * Measure watermark amplitude at a position
+ * Least-squares slope of luminance against alpha: how many luminance levels
+ * the image brightens per unit of alpha. Unlike NCC it is not normalized by
+ * image contrast, so a leftover ghost logo shows up against busy backgrounds.
+ * Dark logos give a negative slope.
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} alphaMap - Alpha map sized to position
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @returns {number} Slope in luminance levels per unit alpha
+ */
+export function measureWatermarkAmplitude(imageData, alphaMap, position) {
+    const gray = getLuminance(imageData, position);
+    const n = gray.length;
+    let meanAlpha = 0;
+    let meanGray = 0;
+
+    for (let i = 0; i < n; i++) {
+        meanAlpha += alphaMap[i];
+        meanGray += gray[i];
+    }
+    meanAlpha /= n;
+    meanGray /= n;
+
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        const da = alphaMap[i] - meanAlpha;
+        covariance += da * (gray[i] - meanGray);
+        variance += da * da;
+    }
+
+    return variance > 0 ? covariance / variance : 0;
+}
+
+/**
+ * Measure how well the watermark amplitude fits the blend model
+ * Blending brightens each pixel by α × (logo - original), so the amplitude of a real
+ * watermark matches the logo's contrast against the background around it, read from
+ * the box's near-transparent pixels. Texture or gradients that merely follow the
+ * logo's shape give other values.
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} alphaMap - Alpha map sized to position
+ * @param {Object} position - Watermark position {x, y, width, height}
+ * @param {number[]} logoColor - Watermark logo colour [r, g, b]
+ * @returns {number} Measured over predicted amplitude, 1 is a perfect fit; NaN without background pixels
+ */
+export function measureBlendRatio(imageData, alphaMap, position, logoColor) {
+    const gray = getLuminance(imageData, position);
+    let background = 0;
+    let samples = 0;
+    for (let i = 0; i < gray.length; i++) {
+        if (alphaMap[i] >= BACKGROUND_ALPHA) continue;
+        background += gray[i];
+        samples++;
+    }
+
+    const logoLuma = 0.299 * logoColor[0] + 0.587 * logoColor[1] + 0.114 * logoColor[2];
+    const contrast = samples ? logoLuma - background / samples : 0;
+    return contrast !== 0 ? measureWatermarkAmplitude(imageData, alphaMap, position) / contrast : NaN;
+}
+
+/**
+ * Search a region for the best matching watermark position
+ * Coarse-to-fine: exhaustive NCC on a downsampled copy, then refinement
+ * of the best peaks at full resolution.
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} alphaMap - Alpha map of the candidate size
+ * @param {number} width - Alpha map width
+ * @param {number} height - Alpha map height
+ * @param {Object} region - Search region {x, y, width, height}
+ * @param {number} [polarity] - Logo polarity from getLogoPolarity(), light logo by default
+ * @returns {Object|null} Best match {x, y, width, height, score}, null if template does not fit
+ */
+export function matchWatermark(imageData, alphaMap, width, height, region, polarity = 1) {
+    if (region.width < width || region.height < height) return null;
+
+    const gray = getLuminance(imageData, region);
+    const factor = Math.max(1, Math.floor(Math.min(width, height) / COARSE_TEMPLATE_SIZE));
+
+    // Coarse pass
+    const coarse = downsample(gray, region.width, region.height, factor);
+    const coarseTemplate = prepareTemplate(
+        downsample(alphaMap, width, height, factor).data,
+        Math.floor(width / factor),
+        Math.floor(height / factor),
+        polarity
+    );
+
+    const peaks = [];
+    for (let y = 0; y <= coarse.height - coarseTemplate.height; y++) {
+        for (let x = 0; x <= coarse.width - coarseTemplate.width; x++) {
+            const score = nccAt(coarse.data, coarse.width, coarseTemplate, x, y);
+            if (peaks.length < REFINE_CANDIDATES || score > peaks[peaks.length - 1].score) {
+                peaks.push({ x: x * factor, y: y * factor, score });
+                peaks.sort((a, b) => b.score - a.score);
+                if (peaks.length > REFINE_CANDIDATES) peaks.pop();
+            }
+        }
+    }
+
+    // Fine pass around each coarse peak
+    const template = prepareTemplate(alphaMap, width, height, polarity);
+    const radius = factor + 1;
+    let best = null;
+
+    for (const peak of peaks) {
+        const minY = Math.max(0, peak.y - radius);
+        const maxY = Math.min(region.height - height, peak.y + radius);
+        const minX = Math.max(0, peak.x - radius);
+        const maxX = Math.min(region.width - width, peak.x + radius);
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const score = nccAt(gray, region.width, template, x, y);
+                if (!best || score > best.score) {
+                    best = { x: region.x + x, y: region.y + y, width, height, score };
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Search the offsets around a position for the best match of the alpha map
+ * Exhaustive NCC within the radius, for refining boxes placed by hand.
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} alphaMap - Alpha map sized to position
+ * @param {Object} position - Starting position {x, y, width, height}
+ * @param {number} radius - Largest shift in pixels along each axis
+ * @param {number} [polarity] - Logo polarity from getLogoPolarity(), light logo by default
+ * @returns {Object|null} Best match {x, y, width, height, score}, null if the template does not fit the image
+ */
+export function refineWatermark(imageData, alphaMap, position, radius, polarity = 1) {
+    const { width, height } = position;
+    const left = Math.max(0, position.x - radius);
+    const top = Math.max(0, position.y - radius);
+    const region = {
+        x: left,
+        y: top,
+        width: Math.min(imageData.width, position.x + width + radius) - left,
+        height: Math.min(imageData.height, position.y + height + radius) - top
+    };
+    if (region.width < width || region.height < height) return null;
+
+    const gray = getLuminance(imageData, region);
+    const template = prepareTemplate(alphaMap, width, height, polarity);
+    let best = null;
+
+    for (let y = 0; y <= region.height - height; y++) {
+        for (let x = 0; x <= region.width - width; x++) {
+            const score = nccAt(gray, region.width, template, x, y);
+            if (!best || score > best.score) {
+                best = { x: region.x + x, y: region.y + y, width, height, score };
+            }
+        }
+    }
+
+    return best;
+}
@@ -0,0 +1,134 @@
+/**
+ * Diff module
+ * Compare an image with its processed result: change statistics and an
+ * amplified heatmap of per-pixel differences
+ */
+
+import { toRegions, isInRegions } from './regions.js';
+
+// Heatmap colour stops from faint to strong changes
+const HEAT_STOPS = [
+    [0, [70, 0, 110]],
+    [0.35, [200, 30, 50]],
+    [0.7, [255, 160, 0]],
+    [1, [255, 255, 210]]
+];
+const MIN_HEAT = 0.15;          // Smallest changes still show up against the background
+const BACKGROUND_LEVEL = 0.25;  // Brightness of unchanged pixels, dimmed original in grey
+
+/**
+ * Largest channel difference of a pixel, alpha included
+ * @returns {number} 0-255
+ */
+function pixelDelta(a, b, i) {
+    return Math.max(
+        Math.abs(a[i] - b[i]),
+        Math.abs(a[i + 1] - b[i + 1]),
+        Math.abs(a[i + 2] - b[i + 2]),
+        Math.abs(a[i + 3] - b[i + 3])
+    );
+}
+
+/**
+ * Compare two images of the same size
+ * @param {Object} before - Image data {width, height, data}
+ * @param {Object} after - Image data {width, height, data}
+ * @param {Object|Object[]} [regions] - Area(s) expected to change {x, y, width, height}
+ * @returns {Object} {changed, total, maxDelta, meanDelta, bounds, outside}
+ *     meanDelta averages changed pixels only, bounds is null when nothing changed,
+ *     outside counts changed pixels outside the regions (null without any)
+ * @throws {Error} When the sizes differ
+ */
+export function compareImages(before, after, regions = null) {
+    const { width, height } = before;
+    if (after.width !== width || after.height !== height) {
+        throw new Error(`Image sizes differ: ${width}×${height} and ${after.width}×${after.height}`);
+    }
+    const boxes = toRegions(regions);
+
+    let changed = 0;
+    let maxDelta = 0;
+    let sum = 0;
+    let outside = 0;
+    let left = width, top = height, right = -1, bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const delta = pixelDelta(before.data, after.data, (y * width + x) * 4);
+            if (delta === 0) continue;
+
+            changed++;
+            sum += delta;
+            if (delta > maxDelta) maxDelta = delta;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+
+            if (boxes.length > 0 && !isInRegions(x, y, boxes)) {
+                outside++;
+            }
+        }
+    }
+
+    return {
+        changed,
+        total: width * height,
+        maxDelta,
+        meanDelta: changed ? sum / changed : 0,
+        bounds: changed ? { x: left, y: top, width: right - left + 1, height: bottom - top + 1 } : null,
+        outside: boxes.length > 0 ? outside : null
+    };
+}
+
+/**
+ * Map a heat value to a colour
+ * @param {number} t - 0-1
+ * @returns {number[]} [r, g, b]
+ */
+function heatColor(t) {
+    for (let i = 1; i < HEAT_STOPS.length; i++) {
+        const [end, to] = HEAT_STOPS[i];
+        if (t > end) continue;
+        const [start, from] = HEAT_STOPS[i - 1];
+        const f = (t - start) / (end - start);
+        return from.map((value, c) => Math.round(value + (to[c] - value) * f));
+    }
+    return HEAT_STOPS[HEAT_STOPS.length - 1][1];
+}
+
+/**
+ * Render an amplified difference heatmap
+ * Changed pixels are coloured by their delta relative to the largest one, on a
+ * square-root scale so single-level changes stay visible. Unchanged pixels show
+ * the original dimmed in grey for orientation.
+ * @param {Object} before - Image data {width, height, data}
+ * @param {Object} after - Image data {width, height, data}, same size
+ * @returns {Object} Heatmap image data {width, height, data}
+ */
+export function renderDiffHeatmap(before, after) {
+    const { width, height } = before;
+    const output = new Uint8ClampedArray(width * height * 4);
+
+    let maxDelta = 0;
+    for (let i = 0; i < output.length; i += 4) {
+        maxDelta = Math.max(maxDelta, pixelDelta(before.data, after.data, i));
+    }
+
+    for (let i = 0; i < output.length; i += 4) {
+        const delta = pixelDelta(before.data, after.data, i);
+        if (delta === 0) {
+            const { data } = before;
+            const grey = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * BACKGROUND_LEVEL * data[i + 3] / 255;
+            output[i] = output[i + 1] = output[i + 2] = grey;
+        } else {
+            const [r, g, b] = heatColor(MIN_HEAT + (1 - MIN_HEAT) * Math.sqrt(delta / maxDelta));
+            output[i] = r;
+            output[i + 1] = g;
+            output[i + 2] = b;
+        }
+        output[i + 3] = 255;
+    }
+
+    return { width, height, data: output };
+}
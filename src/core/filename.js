@@ -0,0 +1,84 @@
+/**
+ * Filename templates
+ * Build output names from templates like "unwatermarked_{name}.{ext}", shared
+ * by the website and the CLI
+ *
+ * Tokens:
+ *   {name}   - Input file name without extension
+ *   {ext}    - Output extension without dot
+ *   {width}  - Image width
+ *   {height} - Image height
+ *   {index}  - 1-based position in the batch, zero-padded to the batch size
+ *   {count}  - Number of images in the batch
+ *   {date}   - Local date and time, YYYYMMDD-HHmmss
+ *   {wmSize} - Watermark size, WxH
+ */
+
+export const FILE_TOKENS = ['name', 'ext', 'width', 'height', 'index', 'count', 'date', 'wmSize'];
+export const ARCHIVE_TOKENS = ['date', 'count'];
+export const DEFAULT_FILE_TEMPLATE = 'unwatermarked_{name}.{ext}';
+export const DEFAULT_ARCHIVE_TEMPLATE = 'unwatermarked_{date}';
+
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+// Path separators, characters Windows rejects and control characters
+const UNSAFE_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+/**
+ * Check a template for unknown tokens
+ * @param {string} template - Template
+ * @param {string[]} [tokens] - Allowed tokens
+ * @returns {string} The template, trimmed
+ * @throws {Error} When the template is empty or uses an unknown token
+ */
+export function validateTemplate(template, tokens = FILE_TOKENS) {
+    const trimmed = String(template ?? '').trim();
+    if (!trimmed) throw new Error('Filename template is empty');
+
+    for (const [, token] of trimmed.matchAll(TOKEN_PATTERN)) {
+        if (!tokens.includes(token)) {
+            throw new Error(`Unknown filename token {${token}}, expected ${tokens.map(name => `{${name}}`).join(' ')}`);
+        }
+    }
+    return trimmed;
+}
+
+/**
+ * Format a date as YYYYMMDD-HHmmss in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Fill a template
+ * Values are made safe for file names, and the extension is appended when the
+ * template has no {ext} but one is known, so results stay openable.
+ * @param {string} template - Template, see validateTemplate
+ * @param {Object} values - {name, ext, width, height, index, count, date, wmSize}, all optional;
+ *     date is a Date (now by default), wmSize a box {width, height}
+ * @returns {string} File name without folders
+ */
+export function formatFilename(template, values = {}) {
+    const { index = 1, count = 1, date = new Date(), wmSize = null } = values;
+    const fields = {
+        ...values,
+        index: String(index).padStart(String(count).length, '0'),
+        count,
+        date: formatDate(date),
+        wmSize: wmSize ? `${wmSize.width}x${wmSize.height}` : ''
+    };
+
+    // Leading dots would hide the file, trailing dots and spaces are dropped by Windows
+    const name = template
+        .replace(TOKEN_PATTERN, (match, token) => String(fields[token] ?? ''))
+        .replace(UNSAFE_CHARACTERS, '_')
+        .replace(/^\.+/, '')
+        .replace(/[. ]+$/, '');
+
+    if (values.ext && !template.includes('{ext}')) return `${name || 'image'}.${values.ext}`;
+    return name || 'image';
+}
@@ -0,0 +1,269 @@
+/**
+ * Inpainting module
+ * Fill the watermark footprint from its surroundings with Telea's fast
+ * marching method, for images where reverse blending cannot be lossless
+ * (recompressed, screenshotted or colour-shifted copies)
+ */
+
+const DEFAULT_RADIUS = 5;     // Neighbourhood used to estimate each filled pixel (px)
+const FOOTPRINT_DILATION = 2; // Grow the footprint to cover resampling and compression halos (px)
+
+// Pixel states during fast marching
+const KNOWN = 0;
+const BAND = 1;
+const INSIDE = 2;
+
+const LARGE = 1e6;
+
+/**
+ * Build the mask of pixels covered by the watermark
+ * @param {Float32Array} alphaMap - Alpha map
+ * @param {number} width - Alpha map width
+ * @param {number} height - Alpha map height
+ * @param {number} threshold - Alpha values below this are not part of the logo
+ * @param {number} [dilation] - Pixels to grow the footprint by
+ * @returns {Uint8Array} Footprint (1) within the alpha map area, row-major
+ */
+export function createFootprint(alphaMap, width, height, threshold, dilation = FOOTPRINT_DILATION) {
+    let mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        if (alphaMap[i] >= threshold) mask[i] = 1;
+    }
+
+    for (let pass = 0; pass < dilation; pass++) {
+        const grown = new Uint8Array(mask);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (mask[row * width + col]) continue;
+                if ((col > 0 && mask[row * width + col - 1]) ||
+                    (col < width - 1 && mask[row * width + col + 1]) ||
+                    (row > 0 && mask[(row - 1) * width + col]) ||
+                    (row < height - 1 && mask[(row + 1) * width + col])) {
+                    grown[row * width + col] = 1;
+                }
+            }
+        }
+        mask = grown;
+    }
+
+    return mask;
+}
+
+/**
+ * Binary min-heap of pixel indices keyed by arrival time
+ */
+class MinHeap {
+    constructor() {
+        this.keys = [];
+        this.values = [];
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    push(key, value) {
+        const { keys, values } = this;
+        let i = keys.length;
+        keys.push(key);
+        values.push(value);
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (keys[parent] <= key) break;
+            keys[i] = keys[parent];
+            values[i] = values[parent];
+            i = parent;
+        }
+        keys[i] = key;
+        values[i] = value;
+    }
+
+    pop() {
+        const { keys, values } = this;
+        const top = values[0];
+        const lastKey = keys.pop();
+        const lastValue = values.pop();
+        const n = keys.length;
+        if (n === 0) return top;
+
+        let i = 0;
+        while (true) {
+            let child = 2 * i + 1;
+            if (child >= n) break;
+            if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+            if (keys[child] >= lastKey) break;
+            keys[i] = keys[child];
+            values[i] = values[child];
+            i = child;
+        }
+        keys[i] = lastKey;
+        values[i] = lastValue;
+
+        return top;
+    }
+}
+
+/**
+ * Inpaint masked pixels with Telea's fast marching method
+ *
+ * Pixels are filled from the boundary inwards in order of their distance to it.
+ * Each one is a weighted average of known neighbours, extrapolated along their
+ * gradients; weights favour close neighbours, neighbours along the normal of
+ * the advancing front, and neighbours on the same distance level.
+ *
+ * @param {Object} imageData - Image data {width, height, data} to process (will be modified in place)
+ * @param {Uint8Array} mask - Pixels to fill (1) within position, row-major
+ * @param {Object} position - Area covered by the mask {x, y, width, height}
+ * @param {Object} [options] - {radius}
+ * @returns {number} Number of filled pixels
+ */
+export function inpaint(imageData, mask, position, options = {}) {
+    const { radius = DEFAULT_RADIUS } = options;
+    const { width: imageWidth, height: imageHeight, data } = imageData;
+
+    // Work on the mask area plus a margin of known pixels, clipped to the image
+    const left = Math.max(0, position.x - radius - 1);
+    const top = Math.max(0, position.y - radius - 1);
+    const right = Math.min(imageWidth, position.x + position.width + radius + 1);
+    const bottom = Math.min(imageHeight, position.y + position.height + radius + 1);
+    const width = right - left;
+    const height = bottom - top;
+
+    const flags = new Uint8Array(width * height);
+    const times = new Float32Array(width * height);
+    const pixelIndex = (col, row) => ((top + row) * imageWidth + left + col) * 4;
+
+    let filled = 0;
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            if (!mask[row * position.width + col]) continue;
+            const localCol = position.x + col - left;
+            const localRow = position.y + row - top;
+            if (localCol < 0 || localRow < 0 || localCol >= width || localRow >= height) continue;
+
+            flags[localRow * width + localCol] = INSIDE;
+            times[localRow * width + localCol] = LARGE;
+            filled++;
+        }
+    }
+    if (filled === 0) return 0;
+
+    // Initial narrow band: known pixels touching the hole
+    const heap = new MinHeap();
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const i = row * width + col;
+            if (flags[i] !== KNOWN) continue;
+            if ((col > 0 && flags[i - 1] === INSIDE) || (col < width - 1 && flags[i + 1] === INSIDE) ||
+                (row > 0 && flags[i - width] === INSIDE) || (row < height - 1 && flags[i + width] === INSIDE)) {
+                flags[i] = BAND;
+                heap.push(0, i);
+            }
+        }
+    }
+
+    const timeAt = (col, row) => (col < 0 || row < 0 || col >= width || row >= height) ? LARGE : times[row * width + col];
+    const isKnown = (col, row) => col >= 0 && row >= 0 && col < width && row < height && flags[row * width + col] !== INSIDE;
+
+    // Solve the eikonal equation |∇T| = 1 from two neighbours
+    const solve = (col1, row1, col2, row2) => {
+        const t1 = timeAt(col1, row1);
+        const t2 = timeAt(col2, row2);
+        const known1 = isKnown(col1, row1);
+        const known2 = isKnown(col2, row2);
+
+        if (known1 && known2 && Math.abs(t1 - t2) < 1) {
+            const r = Math.sqrt(2 - (t1 - t2) * (t1 - t2));
+            const s = (t1 + t2 - r) / 2;
+            if (s >= t1 && s >= t2) return s;
+            const s2 = s + r;
+            if (s2 >= t1 && s2 >= t2) return s2;
+            return LARGE;
+        }
+        if (known1 && known2) return 1 + Math.min(t1, t2);
+        if (known1) return 1 + t1;
+        if (known2) return 1 + t2;
+        return LARGE;
+    };
+
+    // One-sided or central difference along an axis, using known pixels only
+    const gradient = (values, col, row, dx, dy) => {
+        const forward = isKnown(col + dx, row + dy);
+        const backward = isKnown(col - dx, row - dy);
+        if (forward && backward) return (values(col + dx, row + dy) - values(col - dx, row - dy)) / 2;
+        if (forward) return values(col + dx, row + dy) - values(col, row);
+        if (backward) return values(col, row) - values(col - dx, row - dy);
+        return 0;
+    };
+
+    const fillPixel = (col, row) => {
+        const t = timeAt(col, row);
+        const timeGradX = gradient(timeAt, col, row, 1, 0);
+        const timeGradY = gradient(timeAt, col, row, 0, 1);
+        const sum = [0, 0, 0];
+        let weightSum = 0;
+
+        for (let qRow = Math.max(0, row - radius); qRow <= Math.min(height - 1, row + radius); qRow++) {
+            for (let qCol = Math.max(0, col - radius); qCol <= Math.min(width - 1, col + radius); qCol++) {
+                if (flags[qRow * width + qCol] === INSIDE) continue;
+
+                const rx = col - qCol;
+                const ry = row - qRow;
+                const distanceSq = rx * rx + ry * ry;
+                if (distanceSq === 0 || distanceSq > radius * radius) continue;
+
+                const distance = Math.sqrt(distanceSq);
+                const direction = Math.abs(rx * timeGradX + ry * timeGradY) / distance || 1e-6;
+                const level = 1 / (1 + Math.abs(timeAt(qCol, qRow) - t));
+                const weight = direction * level / distanceSq;
+
+                const q = pixelIndex(qCol, qRow);
+                for (let c = 0; c < 3; c++) {
+                    const channel = (x, y) => data[pixelIndex(x, y) + c];
+                    const gradX = gradient(channel, qCol, qRow, 1, 0);
+                    const gradY = gradient(channel, qCol, qRow, 0, 1);
+                    sum[c] += weight * (data[q + c] + gradX * rx + gradY * ry);
+                }
+                weightSum += weight;
+            }
+        }
+
+        if (weightSum > 0) {
+            const p = pixelIndex(col, row);
+            for (let c = 0; c < 3; c++) {
+                data[p + c] = Math.max(0, Math.min(255, Math.round(sum[c] / weightSum)));
+            }
+        }
+    };
+
+    const neighbours = [[-1, 0], [0, -1], [1, 0], [0, 1]];
+    while (heap.size > 0) {
+        const i = heap.pop();
+        const col = i % width;
+        const row = (i - col) / width;
+        flags[i] = KNOWN;
+
+        for (const [dx, dy] of neighbours) {
+            const nCol = col + dx;
+            const nRow = row + dy;
+            if (nCol < 0 || nRow < 0 || nCol >= width || nRow >= height) continue;
+
+            const n = nRow * width + nCol;
+            if (flags[n] !== INSIDE) continue;
+
+            times[n] = Math.min(
+                solve(nCol - 1, nRow, nCol, nRow - 1),
+                solve(nCol + 1, nRow, nCol, nRow - 1),
+                solve(nCol - 1, nRow, nCol, nRow + 1),
+                solve(nCol + 1, nRow, nCol, nRow + 1)
+            );
+            // Still unknown while filling, so its old value is not used as a neighbour
+            fillPixel(nCol, nRow);
+            flags[n] = BAND;
+            heap.push(times[n], n);
+        }
+    }
+
+    return filled;
+}
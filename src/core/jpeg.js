@@ -0,0 +1,812 @@
+/**
+ * JPEG patch module
+ * Write the result of watermark removal back into the original JPEG file.
+ * Only the 8×8 blocks overlapping the changed area are re-quantized, with
+ * the file's own quantization tables; all other blocks keep their exact
+ * coefficients and all other segments (metadata, tables) are copied as is,
+ * so size and quality stay those of the input.
+ *
+ * Supports baseline and extended sequential Huffman-coded JPEGs with 8-bit
+ * samples (grayscale, YCbCr, or Adobe RGB).
+ */
+
+import { toRegions, mergeOverlapping } from './regions.js';
+
+// Zigzag position → natural (row-major) position in an 8×8 block
+const ZIGZAG = new Uint8Array([
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// DCT basis, COS[u * 8 + x] = C(u) / 2 · cos((2x + 1)uπ / 16)
+const COS = new Float64Array(64);
+for (let u = 0; u < 8; u++) {
+    for (let x = 0; x < 8; x++) {
+        COS[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+    }
+}
+
+const MAX_AC = 1023;   // 8-bit samples: AC coefficients need at most 10 bits
+const MAX_DC = 2047;   // and DC coefficients 11
+
+/**
+ * Check for the JPEG start-of-image marker
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+export function isJpeg(bytes) {
+    return bytes.length > 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+}
+
+/**
+ * Build decoding and encoding lookups for a Huffman table
+ * @param {Uint8Array} counts - Number of codes of each length 1-16
+ * @param {Uint8Array} symbols - Symbols in code order
+ * @returns {Object} Huffman table
+ */
+function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(17).fill(-1);
+    const minCode = new Int32Array(17);
+    const valuePointer = new Int32Array(17);
+    const codes = new Uint16Array(256);
+    const sizes = new Uint8Array(256);
+
+    let code = 0;
+    let k = 0;
+    for (let length = 1; length <= 16; length++) {
+        valuePointer[length] = k;
+        minCode[length] = code;
+        for (let i = 0; i < counts[length - 1]; i++) {
+            codes[symbols[k]] = code;
+            sizes[symbols[k]] = length;
+            k++;
+            code++;
+        }
+        if (counts[length - 1] > 0) maxCode[length] = code - 1;
+        code <<= 1;
+    }
+
+    return { counts, symbols, maxCode, minCode, valuePointer, codes, sizes };
+}
+
+/**
+ * Build an optimal Huffman table from symbol frequencies (ITU T.81 Annex K.2)
+ * @param {Int32Array} frequencies - Frequency of each of the 256 symbols
+ * @returns {Object} Huffman table
+ */
+function buildOptimalTable(frequencies) {
+    const freq = new Float64Array(257);
+    freq.set(frequencies);
+    freq[256] = 1; // Reserved so that no code consists of all 1 bits
+    const codeSize = new Int32Array(257);
+    const others = new Int32Array(257).fill(-1);
+
+    while (true) {
+        let c1 = -1;
+        let c2 = -1;
+        let v = Infinity;
+        for (let i = 0; i < 257; i++) {
+            if (freq[i] > 0 && freq[i] <= v) { v = freq[i]; c1 = i; }
+        }
+        v = Infinity;
+        for (let i = 0; i < 257; i++) {
+            if (freq[i] > 0 && freq[i] <= v && i !== c1) { v = freq[i]; c2 = i; }
+        }
+        if (c2 < 0) break;
+
+        freq[c1] += freq[c2];
+        freq[c2] = 0;
+        codeSize[c1]++;
+        while (others[c1] >= 0) { c1 = others[c1]; codeSize[c1]++; }
+        others[c1] = c2;
+        codeSize[c2]++;
+        while (others[c2] >= 0) { c2 = others[c2]; codeSize[c2]++; }
+    }
+
+    const bits = new Int32Array(33);
+    for (let i = 0; i < 257; i++) {
+        if (codeSize[i]) bits[codeSize[i]]++;
+    }
+    // Limit code lengths to 16 bits
+    for (let i = 32; i > 16; i--) {
+        while (bits[i] > 0) {
+            let j = i - 2;
+            while (bits[j] === 0) j--;
+            bits[i] -= 2;
+            bits[i - 1]++;
+            bits[j + 1] += 2;
+            bits[j]--;
+        }
+    }
+    // Drop the reserved symbol, it has the longest code
+    let longest = 16;
+    while (bits[longest] === 0) longest--;
+    bits[longest]--;
+
+    const symbols = [];
+    for (let length = 1; length <= 32; length++) {
+        for (let symbol = 0; symbol < 256; symbol++) {
+            if (codeSize[symbol] === length) symbols.push(symbol);
+        }
+    }
+
+    return buildHuffmanTable(Uint8Array.from(bits.subarray(1, 17)), Uint8Array.from(symbols));
+}
+
+/**
+ * Read the EXIF orientation from an APP1 segment
+ * @returns {number} Orientation (1 when absent)
+ */
+function readOrientation(bytes, start, end) {
+    if (end - start < 14 || String.fromCharCode(...bytes.subarray(start, start + 4)) !== 'Exif') return 1;
+
+    const tiff = start + 6;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[tiff] === 0x49;
+    const ifd = tiff + view.getUint32(tiff + 4, little);
+    if (ifd + 2 > end) return 1;
+
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) break;
+        if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
+    }
+    return 1;
+}
+
+/**
+ * Parse JPEG segments, tables, frame and scans
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {Object} {segments, frame, scans, restartInterval, adobeTransform, orientation}
+ * @throws {Error} When the JPEG is malformed or uses an unsupported coding process
+ */
+function parseJpeg(bytes) {
+    if (!isJpeg(bytes)) {
+        throw new Error('Not a JPEG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const quantTables = [];
+    const huffmanTables = [[], []]; // [class][id], class 0 = DC, 1 = AC
+    const segments = [];
+    const scans = [];
+    let frame = null;
+    let restartInterval = 0;
+    let adobeTransform = null;
+    let orientation = 1;
+    let offset = 2;
+
+    while (offset < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            throw new Error('Corrupt JPEG: marker expected');
+        }
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xD9) {
+            // End of image, anything after it is kept as is
+            segments.push({ marker, start: offset, end: bytes.length });
+            break;
+        }
+
+        const length = view.getUint16(offset + 2);
+        const data = offset + 4;
+        const end = offset + 2 + length;
+        if (end > bytes.length) {
+            throw new Error('Corrupt JPEG: truncated segment');
+        }
+        const segment = { marker, start: offset, end };
+
+        if (marker === 0xDB) {
+            for (let p = data; p < end;) {
+                const precision = bytes[p] >> 4;
+                const table = new Uint16Array(64);
+                for (let k = 0; k < 64; k++) {
+                    table[k] = precision ? view.getUint16(p + 1 + k * 2) : bytes[p + 1 + k];
+                }
+                quantTables[bytes[p] & 15] = table;
+                p += 1 + (precision ? 128 : 64);
+            }
+        } else if (marker === 0xC4) {
+            segment.tables = [];
+            for (let p = data; p < end;) {
+                const tableClass = bytes[p] >> 4;
+                const id = bytes[p] & 15;
+                const counts = bytes.slice(p + 1, p + 17);
+                const total = counts.reduce((sum, n) => sum + n, 0);
+                const table = buildHuffmanTable(counts, bytes.slice(p + 17, p + 17 + total));
+                huffmanTables[tableClass][id] = table;
+                segment.tables.push({ tableClass, id, table });
+                p += 17 + total;
+            }
+        } else if (marker === 0xC0 || marker === 0xC1) {
+            const components = [];
+            for (let i = 0; i < bytes[data + 5]; i++) {
+                const p = data + 6 + i * 3;
+                components.push({ id: bytes[p], h: bytes[p + 1] >> 4, v: bytes[p + 1] & 15, quantId: bytes[p + 2] });
+            }
+            frame = {
+                precision: bytes[data],
+                height: view.getUint16(data + 1),
+                width: view.getUint16(data + 3),
+                components
+            };
+        } else if ((marker >= 0xC2 && marker <= 0xCF) && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            throw new Error('Unsupported JPEG: only sequential Huffman coding can be patched');
+        } else if (marker === 0xDD) {
+            restartInterval = view.getUint16(data);
+        } else if (marker === 0xE1) {
+            orientation = Math.max(orientation, readOrientation(bytes, data, end));
+        } else if (marker === 0xEE && String.fromCharCode(...bytes.subarray(data, data + 5)) === 'Adobe') {
+            adobeTransform = bytes[data + 11];
+        } else if (marker === 0xDA) {
+            if (!frame) {
+                throw new Error('Corrupt JPEG: scan before frame header');
+            }
+            const count = bytes[data];
+            const components = [];
+            for (let i = 0; i < count; i++) {
+                const id = bytes[data + 1 + i * 2];
+                const tables = bytes[data + 2 + i * 2];
+                const component = frame.components.find(c => c.id === id);
+                if (!component) {
+                    throw new Error('Corrupt JPEG: scan references unknown component');
+                }
+                components.push({
+                    component,
+                    dcTable: huffmanTables[0][tables >> 4],
+                    acTable: huffmanTables[1][tables & 15],
+                    dcId: tables >> 4,
+                    acId: tables & 15
+                });
+            }
+            const p = data + 1 + count * 2;
+            if (bytes[p] !== 0 || bytes[p + 1] !== 63 || bytes[p + 2] !== 0) {
+                throw new Error('Unsupported JPEG: only sequential Huffman coding can be patched');
+            }
+
+            // Entropy-coded data runs to the next marker other than RSTn
+            let dataEnd = end;
+            while (dataEnd < bytes.length) {
+                if (bytes[dataEnd] === 0xFF) {
+                    const next = bytes[dataEnd + 1];
+                    if (next !== 0 && !(next >= 0xD0 && next <= 0xD7)) break;
+                    dataEnd++;
+                }
+                dataEnd++;
+            }
+
+            segment.scan = { components, dataStart: end, dataEnd, restartInterval };
+            scans.push(segment.scan);
+            segments.push(segment);
+            offset = dataEnd;
+            continue;
+        }
+
+        segments.push(segment);
+        offset = end;
+    }
+
+    if (!frame || scans.length === 0) {
+        throw new Error('Corrupt JPEG: no image data');
+    }
+    if (frame.precision !== 8) {
+        throw new Error('Unsupported JPEG: only 8-bit samples can be patched');
+    }
+
+    const maxH = Math.max(...frame.components.map(c => c.h));
+    const maxV = Math.max(...frame.components.map(c => c.v));
+    frame.maxH = maxH;
+    frame.maxV = maxV;
+    frame.mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+    frame.mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+
+    for (const component of frame.components) {
+        component.quantTable = quantTables[component.quantId];
+        if (!component.quantTable) {
+            throw new Error('Corrupt JPEG: missing quantization table');
+        }
+        component.blocksPerLine = Math.ceil(Math.ceil(frame.width * component.h / maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil(frame.height * component.v / maxV) / 8);
+        component.blocksPerLinePadded = frame.mcusPerLine * component.h;
+        component.blocksPerColumnPadded = frame.mcusPerColumn * component.v;
+        component.blocks = new Int16Array(component.blocksPerLinePadded * component.blocksPerColumnPadded * 64);
+    }
+
+    return { segments, frame, scans, restartInterval, adobeTransform, orientation };
+}
+
+/**
+ * Call visit(scanComponent, blockRow, blockCol) for every block of a scan in
+ * coding order, and restart(index) at each restart marker
+ */
+function forEachBlock(frame, scan, visit, restart) {
+    const { components, restartInterval } = scan;
+    const single = components.length === 1;
+    const first = components[0].component;
+    const units = single ? first.blocksPerLine * first.blocksPerColumn : frame.mcusPerLine * frame.mcusPerColumn;
+
+    for (let n = 0; n < units; n++) {
+        if (restartInterval && n > 0 && n % restartInterval === 0) {
+            restart(n / restartInterval - 1);
+        }
+
+        if (single) {
+            // Non-interleaved scans cover the component itself, without MCU padding
+            visit(components[0], Math.floor(n / first.blocksPerLine), n % first.blocksPerLine);
+            continue;
+        }
+
+        const mcuRow = Math.floor(n / frame.mcusPerLine);
+        const mcuCol = n % frame.mcusPerLine;
+        for (const scanComponent of components) {
+            const { h, v } = scanComponent.component;
+            for (let y = 0; y < v; y++) {
+                for (let x = 0; x < h; x++) {
+                    visit(scanComponent, mcuRow * v + y, mcuCol * h + x);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Decode a scan's entropy-coded data into quantized coefficients
+ */
+function decodeScan(bytes, frame, scan) {
+    let position = scan.dataStart;
+    let current = 0;
+    let bitsLeft = 0;
+
+    const readBit = () => {
+        if (bitsLeft === 0) {
+            if (position >= scan.dataEnd) {
+                throw new Error('Corrupt JPEG: scan data ended early');
+            }
+            current = bytes[position++];
+            if (current === 0xFF) {
+                if (bytes[position] !== 0) {
+                    throw new Error('Corrupt JPEG: unexpected marker in scan data');
+                }
+                position++;
+            }
+            bitsLeft = 8;
+        }
+        bitsLeft--;
+        return (current >> bitsLeft) & 1;
+    };
+
+    const receive = length => {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+        return value;
+    };
+
+    const extend = (value, length) => value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+
+    const decodeSymbol = table => {
+        if (!table) {
+            throw new Error('Corrupt JPEG: missing Huffman table');
+        }
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | readBit();
+            if (code <= table.maxCode[length]) {
+                return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+            }
+        }
+        throw new Error('Corrupt JPEG: invalid Huffman code');
+    };
+
+    const predictions = new Map();
+
+    forEachBlock(frame, scan, (scanComponent, row, col) => {
+        const { component, dcTable, acTable } = scanComponent;
+        const blocks = component.blocks;
+        const offset = (row * component.blocksPerLinePadded + col) * 64;
+
+        const size = decodeSymbol(dcTable);
+        const prediction = (predictions.get(component) || 0) + (size ? extend(receive(size), size) : 0);
+        predictions.set(component, prediction);
+        blocks[offset] = prediction;
+
+        for (let k = 1; k < 64;) {
+            const symbol = decodeSymbol(acTable);
+            const run = symbol >> 4;
+            const length = symbol & 15;
+            if (length === 0) {
+                if (run !== 15) break;
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) {
+                throw new Error('Corrupt JPEG: coefficient index out of range');
+            }
+            blocks[offset + k] = extend(receive(length), length);
+            k++;
+        }
+    }, () => {
+        // Restart markers byte-align the data and reset DC prediction
+        bitsLeft = 0;
+        if (bytes[position] !== 0xFF || bytes[position + 1] < 0xD0 || bytes[position + 1] > 0xD7) {
+            throw new Error('Corrupt JPEG: restart marker expected');
+        }
+        position += 2;
+        predictions.clear();
+    });
+}
+
+/**
+ * Encode a scan's coefficients, reporting Huffman symbols and raw bits to a sink
+ * @param {Object} frame - Frame
+ * @param {Object} scan - Scan
+ * @param {Object} sink - {symbol(scanComponent, isAC, symbol), bits(value, length), restart(index)}
+ */
+function encodeScan(frame, scan, sink) {
+    const predictions = new Map();
+    const category = value => value === 0 ? 0 : 32 - Math.clz32(Math.abs(value));
+    const emitValue = (value, length) => {
+        if (length > 0) sink.bits(value < 0 ? value + (1 << length) - 1 : value, length);
+    };
+
+    forEachBlock(frame, scan, (scanComponent, row, col) => {
+        const { component } = scanComponent;
+        const blocks = component.blocks;
+        const offset = (row * component.blocksPerLinePadded + col) * 64;
+
+        const dc = blocks[offset];
+        const diff = dc - (predictions.get(component) || 0);
+        predictions.set(component, dc);
+        const dcLength = category(diff);
+        sink.symbol(scanComponent, false, dcLength);
+        emitValue(diff, dcLength);
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+            const value = blocks[offset + k];
+            if (value === 0) {
+                run++;
+                continue;
+            }
+            while (run > 15) {
+                sink.symbol(scanComponent, true, 0xF0);
+                run -= 16;
+            }
+            const length = category(value);
+            sink.symbol(scanComponent, true, (run << 4) | length);
+            emitValue(value, length);
+            run = 0;
+        }
+        if (run > 0) sink.symbol(scanComponent, true, 0x00);
+    }, index => {
+        predictions.clear();
+        sink.restart(index);
+    });
+}
+
+/**
+ * Collect Huffman symbol frequencies of a scan, per table
+ * @returns {Map<string, Int32Array>} "class:id" → frequencies
+ */
+function countSymbols(frame, scan) {
+    const counts = new Map();
+    encodeScan(frame, scan, {
+        symbol(scanComponent, isAC, symbol) {
+            const key = isAC ? `1:${scanComponent.acId}` : `0:${scanComponent.dcId}`;
+            if (!counts.has(key)) counts.set(key, new Int32Array(256));
+            counts.get(key)[symbol]++;
+        },
+        bits() {},
+        restart() {}
+    });
+    return counts;
+}
+
+/**
+ * Write a scan's entropy-coded data with the given tables
+ * @returns {Uint8Array}
+ */
+function writeScan(frame, scan, tables) {
+    let output = new Uint8Array(scan.dataEnd - scan.dataStart + 1024);
+    let length = 0;
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const pushByte = byte => {
+        if (length + 2 > output.length) {
+            const grown = new Uint8Array(output.length * 2);
+            grown.set(output);
+            output = grown;
+        }
+        output[length++] = byte;
+    };
+
+    const writeBits = (value, bits) => {
+        buffer = (buffer << bits) | value;
+        bufferBits += bits;
+        while (bufferBits >= 8) {
+            const byte = (buffer >> (bufferBits - 8)) & 0xFF;
+            pushByte(byte);
+            if (byte === 0xFF) pushByte(0);
+            bufferBits -= 8;
+            buffer &= (1 << bufferBits) - 1;
+        }
+    };
+
+    // Pad the last byte with 1 bits
+    const flush = () => {
+        if (bufferBits > 0) writeBits((1 << (8 - bufferBits)) - 1, 8 - bufferBits);
+    };
+
+    encodeScan(frame, scan, {
+        symbol(scanComponent, isAC, symbol) {
+            const table = tables.get(isAC ? `1:${scanComponent.acId}` : `0:${scanComponent.dcId}`);
+            writeBits(table.codes[symbol], table.sizes[symbol]);
+        },
+        bits: writeBits,
+        restart(index) {
+            flush();
+            pushByte(0xFF);
+            pushByte(0xD0 + (index % 8));
+        }
+    });
+    flush();
+
+    return output.subarray(0, length);
+}
+
+/**
+ * Serialize Huffman tables as a DHT segment
+ * @param {Object[]} entries - [{tableClass, id, table}]
+ * @returns {Uint8Array}
+ */
+function writeHuffmanSegment(entries) {
+    const length = 2 + entries.reduce((sum, { table }) => sum + 17 + table.symbols.length, 0);
+    const segment = new Uint8Array(2 + length);
+    segment.set([0xFF, 0xC4, length >> 8, length & 0xFF]);
+
+    let p = 4;
+    for (const { tableClass, id, table } of entries) {
+        segment[p] = (tableClass << 4) | id;
+        segment.set(table.counts, p + 1);
+        segment.set(table.symbols, p + 17);
+        p += 17 + table.symbols.length;
+    }
+    return segment;
+}
+
+/**
+ * Forward DCT of an 8×8 block
+ * @param {Float64Array} samples - 64 samples, row-major
+ * @returns {Float64Array} 64 coefficients, row-major
+ */
+function forwardDCT(samples) {
+    const rows = new Float64Array(64);
+    for (let y = 0; y < 8; y++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 8; x++) sum += COS[u * 8 + x] * samples[y * 8 + x];
+            rows[y * 8 + u] = sum;
+        }
+    }
+
+    const coefficients = new Float64Array(64);
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < 8; y++) sum += COS[v * 8 + y] * rows[y * 8 + u];
+            coefficients[v * 8 + u] = sum;
+        }
+    }
+    return coefficients;
+}
+
+/**
+ * Convert a pixel change from RGB to the JPEG's component space
+ * @returns {Function} (dr, dg, db) → per-component changes
+ */
+function getColorTransform(frame, adobeTransform) {
+    const count = frame.components.length;
+    if (count === 1) {
+        return (dr, dg, db) => [0.299 * dr + 0.587 * dg + 0.114 * db];
+    }
+    if (count === 3 && adobeTransform === 0) {
+        return (dr, dg, db) => [dr, dg, db];
+    }
+    if (count === 3) {
+        return (dr, dg, db) => [
+            0.299 * dr + 0.587 * dg + 0.114 * db,
+            -0.168736 * dr - 0.331264 * dg + 0.5 * db,
+            0.5 * dr - 0.418688 * dg - 0.081312 * db
+        ];
+    }
+    throw new Error('Unsupported JPEG: only grayscale, YCbCr and RGB images can be patched');
+}
+
+/**
+ * Add the change between two decodings to the coefficients of the blocks it touches
+ * The DCT is linear, so the DCT of the pixel change is added to the original
+ * coefficients and only the change is quantized; untouched blocks are left exactly as they were.
+ * @returns {Set<Object>} Components whose coefficients changed
+ */
+function applyChange(frame, adobeTransform, before, after, region) {
+    const { width, height, maxH, maxV } = frame;
+    const toComponents = getColorTransform(frame, adobeTransform);
+    const changed = new Set();
+
+    // Per-pixel change in component space, within the region only
+    const planes = frame.components.map(() => new Float64Array(region.width * region.height));
+    let any = false;
+    for (let row = 0; row < region.height; row++) {
+        for (let col = 0; col < region.width; col++) {
+            const i = ((region.y + row) * width + region.x + col) * 4;
+            const dr = after.data[i] - before.data[i];
+            const dg = after.data[i + 1] - before.data[i + 1];
+            const db = after.data[i + 2] - before.data[i + 2];
+            if (dr === 0 && dg === 0 && db === 0) continue;
+
+            any = true;
+            toComponents(dr, dg, db).forEach((value, c) => { planes[c][row * region.width + col] = value; });
+        }
+    }
+    if (!any) return changed;
+
+    frame.components.forEach((component, c) => {
+        const plane = planes[c];
+        // Image pixels per component sample
+        const scaleX = maxH / component.h;
+        const scaleY = maxV / component.v;
+        const firstBlockCol = Math.floor(region.x / scaleX / 8);
+        const lastBlockCol = Math.floor((region.x + region.width - 1) / scaleX / 8);
+        const firstBlockRow = Math.floor(region.y / scaleY / 8);
+        const lastBlockRow = Math.floor((region.y + region.height - 1) / scaleY / 8);
+
+        for (let blockRow = firstBlockRow; blockRow <= lastBlockRow; blockRow++) {
+            for (let blockCol = firstBlockCol; blockCol <= lastBlockCol; blockCol++) {
+                const samples = new Float64Array(64);
+                let touched = false;
+
+                for (let y = 0; y < 8; y++) {
+                    for (let x = 0; x < 8; x++) {
+                        // Average the change over the image pixels this sample covers
+                        const left = (blockCol * 8 + x) * scaleX;
+                        const top = (blockRow * 8 + y) * scaleY;
+                        let sum = 0;
+                        let count = 0;
+                        for (let py = top; py < Math.min(top + scaleY, height); py++) {
+                            for (let px = left; px < Math.min(left + scaleX, width); px++) {
+                                count++;
+                                const row = py - region.y;
+                                const col = px - region.x;
+                                if (row < 0 || col < 0 || row >= region.height || col >= region.width) continue;
+                                sum += plane[row * region.width + col];
+                            }
+                        }
+                        if (count > 0 && sum !== 0) {
+                            samples[y * 8 + x] = sum / count;
+                            touched = true;
+                        }
+                    }
+                }
+                if (!touched) continue;
+
+                const delta = forwardDCT(samples);
+                const offset = (blockRow * component.blocksPerLinePadded + blockCol) * 64;
+                for (let k = 0; k < 64; k++) {
+                    const step = Math.round(delta[ZIGZAG[k]] / component.quantTable[k]);
+                    if (step === 0) continue;
+                    const limit = k === 0 ? MAX_DC : MAX_AC;
+                    component.blocks[offset + k] = Math.max(-limit, Math.min(limit, component.blocks[offset + k] + step));
+                    changed.add(component);
+                }
+            }
+        }
+    });
+
+    return changed;
+}
+
+/**
+ * Write the pixels changed by watermark removal into the original JPEG file
+ * @param {Uint8Array} bytes - Original JPEG file
+ * @param {Object} before - Pixels the engine was given {width, height, data}
+ * @param {Object} after - Pixels the engine returned {width, height, data}
+ * @param {Object|Object[]} regions - Area(s) that may differ {x, y, width, height}
+ * @returns {Uint8Array} Patched JPEG file, the original bytes when nothing changed
+ * @throws {Error} When the JPEG cannot be patched (progressive, arithmetic-coded, 12-bit, CMYK or rotated by EXIF)
+ */
+export function patchJpeg(bytes, before, after, regions) {
+    const jpeg = parseJpeg(bytes);
+    const { frame, scans, segments } = jpeg;
+
+    if (jpeg.orientation > 1) {
+        throw new Error('Unsupported JPEG: EXIF orientation does not match the stored pixels');
+    }
+    if (before.width !== frame.width || before.height !== frame.height) {
+        throw new Error(`Image size ${before.width}×${before.height} does not match JPEG frame ${frame.width}×${frame.height}`);
+    }
+
+    // Overlapping regions would add the change of shared pixels twice
+    const clipped = mergeOverlapping(toRegions(regions)).map(region => {
+        const left = Math.max(0, region.x);
+        const top = Math.max(0, region.y);
+        return {
+            x: left,
+            y: top,
+            width: Math.min(frame.width, region.x + region.width) - left,
+            height: Math.min(frame.height, region.y + region.height) - top
+        };
+    }).filter(region => region.width > 0 && region.height > 0);
+    if (clipped.length === 0) return bytes;
+
+    scans.forEach(scan => decodeScan(bytes, frame, scan));
+
+    const changed = new Set();
+    for (const region of clipped) {
+        applyChange(frame, jpeg.adobeTransform, before, after, region).forEach(component => changed.add(component));
+    }
+    if (changed.size === 0) return bytes;
+
+    const chunks = [bytes.subarray(0, 2)];
+    // Huffman tables a decoder holds at this point of the file
+    const active = new Map();
+
+    for (const segment of segments) {
+        if (segment.tables) {
+            segment.tables.forEach(({ tableClass, id, table }) => active.set(`${tableClass}:${id}`, table));
+        }
+        if (!segment.scan) {
+            chunks.push(bytes.subarray(segment.start, segment.end));
+            continue;
+        }
+
+        const { scan } = segment;
+        const rewrite = scan.components.some(({ component }) => changed.has(component));
+        const tables = new Map();
+        scan.components.forEach(({ dcId, acId, dcTable, acTable }) => {
+            tables.set(`0:${dcId}`, dcTable);
+            tables.set(`1:${acId}`, acTable);
+        });
+
+        // Keep the scan's own tables unless the new coefficients need symbols they lack
+        if (rewrite) {
+            const counts = countSymbols(frame, scan);
+            const complete = [...counts].every(([key, frequencies]) =>
+                frequencies.every((n, symbol) => n === 0 || tables.get(key).sizes[symbol] > 0));
+            if (!complete) {
+                for (const [key, frequencies] of counts) tables.set(key, buildOptimalTable(frequencies));
+            }
+        }
+
+        // An earlier rewritten scan may have redefined tables this one relies on
+        const redefined = [];
+        for (const [key, table] of tables) {
+            if (active.get(key) === table) continue;
+            const [tableClass, id] = key.split(':').map(Number);
+            redefined.push({ tableClass, id, table });
+            active.set(key, table);
+        }
+        if (redefined.length > 0) chunks.push(writeHuffmanSegment(redefined));
+
+        if (rewrite) {
+            chunks.push(bytes.subarray(segment.start, segment.end));
+            chunks.push(writeScan(frame, scan, tables));
+        } else {
+            chunks.push(bytes.subarray(segment.start, scan.dataEnd));
+        }
+    }
+
+    const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
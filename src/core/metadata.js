@@ -0,0 +1,489 @@
+/**
+ * Metadata module
+ * Carry EXIF, XMP, IPTC and ICC metadata from a source file over to an
+ * encoded output, across JPEG, PNG and WebP containers. Works on bytes only.
+ *
+ * Where each group lives:
+ *   JPEG - APP1 Exif, APP1 XMP, APP13 Photoshop IRB (IPTC and other resources), APP2 ICC_PROFILE
+ *   PNG  - eXIf, iTXt XML:com.adobe.xmp, zTXt "Raw profile type iptc", iCCP
+ *   WebP - EXIF, XMP, ICCP chunks (WebP has no IPTC container)
+ */
+
+import { isPng, readPngChunks, pngChunk, inflate, deflate } from './png.js';
+
+export const METADATA_GROUPS = ['exif', 'xmp', 'iptc', 'icc'];
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_HEADER = 'ICC_PROFILE\0';
+const PHOTOSHOP_HEADER = 'Photoshop 3.0\0';
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+const IPTC_KEYWORD = 'Raw profile type iptc';
+const EXIF_KEYWORD = 'Raw profile type exif';
+const IPTC_RESOURCE = 0x0404;
+const MAX_SEGMENT = 65533;            // JPEG segment payload limit
+const ICC_CHUNK = MAX_SEGMENT - 14;   // Per APP2 segment, after header, sequence and count
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('latin1');
+
+const ascii = text => encoder.encode(text);
+const startsWith = (bytes, text, offset = 0) => decoder.decode(bytes.subarray(offset, offset + text.length)) === text;
+
+function concat(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+/**
+ * Detect the container format of an image file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} 'jpeg', 'png', 'webp' or null
+ */
+export function detectFormat(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+    if (isPng(bytes)) return 'png';
+    if (startsWith(bytes, 'RIFF') && startsWith(bytes, 'WEBP', 8)) return 'webp';
+    return null;
+}
+
+/**
+ * Split a JPEG into its header segments and the rest (scan data onwards)
+ * @returns {Object} {segments: [{marker, start, end}], rest}
+ */
+function readJpegSegments(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xDA || marker === 0xD9) break;
+        const end = offset + 2 + view.getUint16(offset + 2);
+        segments.push({ marker, start: offset, end });
+        offset = end;
+    }
+
+    return { segments, rest: offset };
+}
+
+/**
+ * Split Photoshop image resources (8BIM blocks)
+ * @returns {Object[]} [{id, start, end, data}], start and end include the block's header and padding
+ */
+function readPhotoshopResources(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const resources = [];
+    let offset = 0;
+
+    while (offset + 12 <= data.length && startsWith(data, '8BIM', offset)) {
+        const id = view.getUint16(offset + 4);
+        const nameLength = data[offset + 6];
+        let p = offset + 7 + nameLength;
+        if ((nameLength + 1) % 2) p++;
+        const size = view.getUint32(p);
+        p += 4;
+        const end = Math.min(data.length, p + size + (size % 2));
+        resources.push({ id, start: offset, end, data: data.subarray(p, p + size) });
+        offset = end;
+    }
+    return resources;
+}
+
+/**
+ * Build Photoshop image resources with the IPTC block replaced
+ * Other resources (resolution, captions, paths, ...) are kept as they are.
+ * @param {Uint8Array|null} resources - Source resources, null to build IPTC only
+ * @param {Uint8Array|null} iptc - IPTC data, null to drop it
+ * @returns {Uint8Array}
+ */
+function writePhotoshopResources(resources, iptc) {
+    const blocks = resources ? readPhotoshopResources(resources) : [];
+    const parts = [];
+    let iptcBlock = null;
+    if (iptc) {
+        const size = iptc.length;
+        iptcBlock = concat([
+            new Uint8Array([0x38, 0x42, 0x49, 0x4D, IPTC_RESOURCE >> 8, IPTC_RESOURCE & 0xFF, 0, 0,
+                size >>> 24, (size >> 16) & 0xFF, (size >> 8) & 0xFF, size & 0xFF]),
+            iptc,
+            new Uint8Array(size % 2)
+        ]);
+    }
+
+    for (const block of blocks) {
+        if (block.id !== IPTC_RESOURCE) {
+            parts.push(resources.subarray(block.start, block.end));
+        } else if (iptcBlock) {
+            parts.push(iptcBlock);
+            iptcBlock = null;
+        }
+    }
+    if (iptcBlock) parts.push(iptcBlock);
+    return concat(parts);
+}
+
+function readJpegMetadata(bytes) {
+    const metadata = { exif: null, xmp: null, iptc: null, icc: null };
+    const iccChunks = [];
+
+    for (const { marker, start, end } of readJpegSegments(bytes).segments) {
+        const data = bytes.subarray(start + 4, end);
+        if (marker === 0xE1 && startsWith(data, EXIF_HEADER)) {
+            metadata.exif = data.slice(EXIF_HEADER.length);
+        } else if (marker === 0xE1 && startsWith(data, XMP_HEADER)) {
+            metadata.xmp = data.slice(XMP_HEADER.length);
+        } else if (marker === 0xE2 && startsWith(data, ICC_HEADER)) {
+            iccChunks.push({ sequence: data[12], data: data.subarray(14) });
+        } else if (marker === 0xED && startsWith(data, PHOTOSHOP_HEADER)) {
+            // All resources travel with the IPTC group, JPEG outputs keep them
+            metadata.photoshop = data.slice(PHOTOSHOP_HEADER.length);
+            metadata.iptc = readPhotoshopResources(metadata.photoshop).find(({ id }) => id === IPTC_RESOURCE)?.data.slice() || null;
+        }
+    }
+
+    if (iccChunks.length > 0) {
+        metadata.icc = concat(iccChunks.sort((a, b) => a.sequence - b.sequence).map(chunk => chunk.data));
+    }
+    return metadata;
+}
+
+/**
+ * Build a JPEG marker segment
+ * @returns {Uint8Array}
+ */
+function jpegSegment(marker, ...parts) {
+    const payload = concat(parts);
+    const length = payload.length + 2;
+    return concat([new Uint8Array([0xFF, marker, length >> 8, length & 0xFF]), payload]);
+}
+
+function isJpegMetadataSegment(bytes, { marker, start, end }) {
+    const data = bytes.subarray(start + 4, end);
+    return (marker === 0xE1 && (startsWith(data, EXIF_HEADER) || startsWith(data, XMP_HEADER))) ||
+        (marker === 0xE2 && startsWith(data, ICC_HEADER)) ||
+        (marker === 0xED && startsWith(data, PHOTOSHOP_HEADER));
+}
+
+function writeJpegMetadata(bytes, metadata) {
+    const { segments, rest } = readJpegSegments(bytes);
+    const added = [];
+
+    if (metadata.exif && metadata.exif.length + EXIF_HEADER.length <= MAX_SEGMENT) {
+        added.push(jpegSegment(0xE1, ascii(EXIF_HEADER), metadata.exif));
+    }
+    if (metadata.xmp && metadata.xmp.length + XMP_HEADER.length <= MAX_SEGMENT) {
+        added.push(jpegSegment(0xE1, ascii(XMP_HEADER), metadata.xmp));
+    }
+    if (metadata.icc) {
+        const count = Math.ceil(metadata.icc.length / ICC_CHUNK);
+        for (let i = 0; i < count; i++) {
+            added.push(jpegSegment(0xE2, ascii(ICC_HEADER), new Uint8Array([i + 1, count]),
+                metadata.icc.subarray(i * ICC_CHUNK, (i + 1) * ICC_CHUNK)));
+        }
+    }
+    if (metadata.iptc || metadata.photoshop) {
+        const resources = writePhotoshopResources(metadata.photoshop, metadata.iptc);
+        if (resources.length > 0 && resources.length + PHOTOSHOP_HEADER.length <= MAX_SEGMENT) {
+            added.push(jpegSegment(0xED, ascii(PHOTOSHOP_HEADER), resources));
+        }
+    }
+
+    // New segments go after JFIF / JFXX APP0, which must come first
+    const kept = segments.filter(segment => !isJpegMetadataSegment(bytes, segment));
+    const insertAt = kept.findIndex(segment => segment.marker !== 0xE0);
+    const position = insertAt < 0 ? kept.length : insertAt;
+
+    return concat([
+        bytes.subarray(0, 2),
+        ...kept.slice(0, position).map(({ start, end }) => bytes.subarray(start, end)),
+        ...added,
+        ...kept.slice(position).map(({ start, end }) => bytes.subarray(start, end)),
+        bytes.subarray(rest)
+    ]);
+}
+
+/**
+ * Read a PNG text chunk (tEXt, zTXt or iTXt)
+ * @returns {Promise<Object>} {keyword, text: Uint8Array}
+ */
+async function readPngText({ type, data }) {
+    const separator = data.indexOf(0);
+    const keyword = decoder.decode(data.subarray(0, separator));
+
+    if (type === 'tEXt') return { keyword, text: data.subarray(separator + 1) };
+    if (type === 'zTXt') return { keyword, text: await inflate(data.subarray(separator + 2)) };
+
+    // iTXt: compression flag, method, language tag, translated keyword, text
+    const compressed = data[separator + 1] === 1;
+    let p = data.indexOf(0, separator + 3) + 1;
+    p = data.indexOf(0, p) + 1;
+    const text = data.subarray(p);
+    return { keyword, text: compressed ? await inflate(text) : text };
+}
+
+/**
+ * Decode an ImageMagick "Raw profile type" text (name, length, hex dump)
+ * @returns {Uint8Array}
+ */
+function decodeRawProfile(text) {
+    const [, length, ...hex] = decoder.decode(text).trim().split(/\s+/);
+    const digits = hex.join('');
+    const bytes = new Uint8Array(Number(length));
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+    return bytes;
+}
+
+function encodeRawProfile(name, bytes) {
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    const lines = hex.match(/.{1,72}/g) || [];
+    return ascii(`\n${name}\n${String(bytes.length).padStart(8)}\n${lines.join('\n')}\n`);
+}
+
+async function readPngMetadata(bytes) {
+    const metadata = { exif: null, xmp: null, iptc: null, icc: null };
+
+    for (const chunk of readPngChunks(bytes)) {
+        if (chunk.type === 'eXIf') {
+            metadata.exif = chunk.data.slice();
+        } else if (chunk.type === 'iCCP') {
+            const separator = chunk.data.indexOf(0);
+            metadata.icc = await inflate(chunk.data.subarray(separator + 2));
+        } else if (['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) {
+            const { keyword, text } = await readPngText(chunk);
+            if (keyword === XMP_KEYWORD) {
+                metadata.xmp = text.slice();
+            } else if (keyword === IPTC_KEYWORD) {
+                metadata.iptc = decodeRawProfile(text);
+            } else if (keyword === EXIF_KEYWORD && !metadata.exif) {
+                const exif = decodeRawProfile(text);
+                metadata.exif = startsWith(exif, EXIF_HEADER) ? exif.slice(EXIF_HEADER.length) : exif;
+            }
+        }
+    }
+    return metadata;
+}
+
+async function writePngMetadata(bytes, metadata) {
+    const added = [];
+    if (metadata.icc) {
+        added.push(pngChunk('iCCP', ascii('ICC Profile\0\0'), await deflate(metadata.icc)));
+    }
+    if (metadata.exif) {
+        added.push(pngChunk('eXIf', metadata.exif));
+    }
+    if (metadata.xmp) {
+        added.push(pngChunk('iTXt', ascii(`${XMP_KEYWORD}\0\0\0\0\0`), metadata.xmp));
+    }
+    if (metadata.iptc) {
+        added.push(pngChunk('zTXt', ascii(`${IPTC_KEYWORD}\0\0`), await deflate(encodeRawProfile('iptc', metadata.iptc))));
+    }
+
+    const kept = [];
+    for (const chunk of readPngChunks(bytes)) {
+        if (chunk.type === 'eXIf' || chunk.type === 'iCCP') continue;
+        // An embedded profile replaces the sRGB intent
+        if (chunk.type === 'sRGB' && metadata.icc) continue;
+        if (['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) {
+            const { keyword } = await readPngText(chunk);
+            if ([XMP_KEYWORD, IPTC_KEYWORD, EXIF_KEYWORD].includes(keyword)) continue;
+        }
+        kept.push(bytes.subarray(chunk.start, chunk.end));
+    }
+
+    // IHDR first, then metadata ahead of the image data
+    return concat([bytes.subarray(0, 8), kept[0], ...added, ...kept.slice(1)]);
+}
+
+/**
+ * Split a WebP into RIFF chunks
+ * @returns {Object[]} [{type, data}]
+ */
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const type = decoder.decode(bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+function readWebpMetadata(bytes) {
+    const metadata = { exif: null, xmp: null, iptc: null, icc: null };
+
+    for (const { type, data } of readWebpChunks(bytes)) {
+        if (type === 'EXIF') {
+            metadata.exif = (startsWith(data, EXIF_HEADER) ? data.subarray(EXIF_HEADER.length) : data).slice();
+        } else if (type === 'XMP ') {
+            metadata.xmp = data.slice();
+        } else if (type === 'ICCP') {
+            metadata.icc = data.slice();
+        }
+    }
+    return metadata;
+}
+
+function webpChunk(type, data) {
+    const header = new Uint8Array(8);
+    header.set(ascii(type));
+    new DataView(header.buffer).setUint32(4, data.length, true);
+    return concat([header, data, new Uint8Array(data.length % 2)]);
+}
+
+/**
+ * Read canvas size and alpha from a simple (VP8 / VP8L) WebP
+ * @returns {Object} {width, height, alpha}
+ */
+function readWebpCanvas(chunks) {
+    for (const { type, data } of chunks) {
+        if (type === 'VP8 ') {
+            return {
+                width: (data[6] | (data[7] << 8)) & 0x3FFF,
+                height: (data[8] | (data[9] << 8)) & 0x3FFF,
+                alpha: chunks.some(chunk => chunk.type === 'ALPH')
+            };
+        }
+        if (type === 'VP8L') {
+            const bits = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1, alpha: ((bits >> 28) & 1) === 1 };
+        }
+    }
+    throw new Error('WebP has no image data');
+}
+
+function writeWebpMetadata(bytes, metadata) {
+    const chunks = readWebpChunks(bytes);
+    const extended = chunks.find(chunk => chunk.type === 'VP8X');
+
+    // Metadata needs the extended format, convert simple files
+    const header = new Uint8Array(10);
+    if (extended) {
+        header.set(extended.data.subarray(0, 10));
+    } else {
+        const { width, height, alpha } = readWebpCanvas(chunks);
+        header[0] = alpha ? 0x10 : 0;
+        header.set([(width - 1) & 0xFF, ((width - 1) >> 8) & 0xFF, (width - 1) >> 16], 4);
+        header.set([(height - 1) & 0xFF, ((height - 1) >> 8) & 0xFF, (height - 1) >> 16], 7);
+    }
+    header[0] = (header[0] & ~(0x20 | 0x08 | 0x04)) |
+        (metadata.icc ? 0x20 : 0) | (metadata.exif ? 0x08 : 0) | (metadata.xmp ? 0x04 : 0);
+
+    const image = chunks
+        .filter(({ type }) => !['VP8X', 'ICCP', 'EXIF', 'XMP '].includes(type))
+        .map(({ type, data }) => webpChunk(type, data));
+
+    const body = concat([
+        ascii('WEBP'),
+        webpChunk('VP8X', header),
+        ...(metadata.icc ? [webpChunk('ICCP', metadata.icc)] : []),
+        ...image,
+        ...(metadata.exif ? [webpChunk('EXIF', metadata.exif)] : []),
+        ...(metadata.xmp ? [webpChunk('XMP ', metadata.xmp)] : [])
+    ]);
+
+    const riff = new Uint8Array(8);
+    riff.set(ascii('RIFF'));
+    new DataView(riff.buffer).setUint32(4, body.length, true);
+    return concat([riff, body]);
+}
+
+/**
+ * Set the orientation tag of an EXIF (TIFF) block to 1, for pixels already rotated upright
+ * @param {Uint8Array} exif - TIFF data, modified in place
+ */
+function resetOrientation(exif) {
+    if (exif.length < 8) return;
+    const view = new DataView(exif.buffer, exif.byteOffset, exif.byteLength);
+    const little = exif[0] === 0x49;
+    const ifd = view.getUint32(4, little);
+    if (ifd + 2 > exif.length) return;
+
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > exif.length) return;
+        if (view.getUint16(entry, little) === 0x0112) {
+            view.setUint16(entry + 8, 1, little);
+            return;
+        }
+    }
+}
+
+/**
+ * Pick the canvas colour space that holds an ICC profile's colours
+ * Canvases know sRGB and Display P3, the profile description tells them apart.
+ * @param {Uint8Array|null} icc - ICC profile
+ * @returns {string} 'display-p3' or 'srgb'
+ */
+export function getColorSpace(icc) {
+    if (!icc || icc.length < 132) return 'srgb';
+    const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+    const count = view.getUint32(128);
+
+    for (let i = 0; i < count; i++) {
+        const entry = 132 + i * 12;
+        if (entry + 12 > icc.length) break;
+        if (!startsWith(icc, 'desc', entry)) continue;
+
+        // 'desc' holds ASCII, 'mluc' UTF-16BE; dropping NULs reads both
+        const offset = view.getUint32(entry + 4);
+        const description = decoder.decode(icc.subarray(offset, offset + view.getUint32(entry + 8))).replace(/\0/g, '');
+        return /P3/.test(description) ? 'display-p3' : 'srgb';
+    }
+    return 'srgb';
+}
+
+/**
+ * Read metadata groups from an image file
+ * @param {Uint8Array} bytes - JPEG, PNG or WebP file
+ * @returns {Promise<Object>} {exif, xmp, iptc, icc}, each a Uint8Array or null; JPEGs also give
+ *     photoshop, all Photoshop image resources, which JPEG outputs keep along with IPTC
+ */
+export async function readMetadata(bytes) {
+    switch (detectFormat(bytes)) {
+        case 'jpeg': return readJpegMetadata(bytes);
+        case 'png': return readPngMetadata(bytes);
+        case 'webp': return readWebpMetadata(bytes);
+        default: return { exif: null, xmp: null, iptc: null, icc: null };
+    }
+}
+
+/**
+ * Replace the metadata of an encoded image
+ * Metadata groups already in the file are removed, then the selected groups
+ * from the source are written in the container's standard places.
+ * @param {Uint8Array} bytes - Encoded JPEG, PNG or WebP
+ * @param {Object} metadata - Source metadata from readMetadata
+ * @param {Object} [options]
+ * @param {string[]} [options.groups] - Groups to keep, see METADATA_GROUPS (default all)
+ * @param {boolean} [options.resetOrientation] - Set EXIF orientation to 1, for pixels decoded upright
+ * @returns {Promise<Uint8Array>} Image file
+ * @throws {Error} When the format is not JPEG, PNG or WebP
+ */
+export async function writeMetadata(bytes, metadata, options = {}) {
+    const { groups = METADATA_GROUPS, resetOrientation: upright = false } = options;
+    const selected = Object.fromEntries(METADATA_GROUPS.map(group => [group, groups.includes(group) ? metadata[group] : null]));
+    selected.photoshop = groups.includes('iptc') ? metadata.photoshop || null : null;
+
+    if (selected.exif && upright) {
+        selected.exif = selected.exif.slice();
+        resetOrientation(selected.exif);
+    }
+
+    switch (detectFormat(bytes)) {
+        case 'jpeg': return writeJpegMetadata(bytes, selected);
+        case 'png': return writePngMetadata(bytes, selected);
+        case 'webp': return writeWebpMetadata(bytes, selected);
+        default: throw new Error('Unsupported image format for metadata');
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * PNG module
+ * Lossless PNG decoding and encoding on straight (non-premultiplied) RGBA
+ * buffers. Canvases premultiply alpha, which rounds the colour of every
+ * semi-transparent pixel; images with an alpha channel go through here instead
+ * so pixels outside the watermark keep their exact values. Works on bytes only.
+ */
+
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Samples per pixel for each colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('latin1');
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concat(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+/**
+ * Run bytes through a compression stream (zlib 'deflate' format)
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipe(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+export const inflate = bytes => pipe(bytes, new DecompressionStream('deflate'));
+export const deflate = bytes => pipe(bytes, new CompressionStream('deflate'));
+
+/**
+ * Check for the PNG signature
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+export function isPng(bytes) {
+    return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Split a PNG into chunks
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Object[]} [{type, data, start, end}]
+ */
+export function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = decoder.decode(bytes.subarray(offset + 4, offset + 8));
+        const end = offset + 12 + length;
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length), start: offset, end });
+        offset = end;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+/**
+ * Build a PNG chunk with its length and CRC
+ * @param {string} type - Chunk type
+ * @param {...Uint8Array} parts - Chunk data
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, ...parts) {
+    const body = concat([encoder.encode(type), ...parts]);
+    const header = new Uint8Array(4);
+    new DataView(header.buffer).setUint32(0, body.length - 4);
+    const crc = new Uint8Array(4);
+    new DataView(crc.buffer).setUint32(0, crc32(body));
+    return concat([header, body, crc]);
+}
+
+/**
+ * Read the image header
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Object} {width, height, bitDepth, colorType, interlace, hasAlpha}
+ */
+export function readPngHeader(bytes) {
+    const chunks = readPngChunks(bytes);
+    const header = chunks[0];
+    if (!header || header.type !== 'IHDR') {
+        throw new Error('Invalid PNG');
+    }
+
+    const view = new DataView(header.data.buffer, header.data.byteOffset, header.data.byteLength);
+    const colorType = header.data[9];
+    return {
+        width: view.getUint32(0),
+        height: view.getUint32(4),
+        bitDepth: header.data[8],
+        colorType,
+        interlace: header.data[12],
+        hasAlpha: colorType === 4 || colorType === 6 || chunks.some(chunk => chunk.type === 'tRNS')
+    };
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Undo the per-row filters in place
+ * @returns {Uint8Array} Unfiltered rows without their filter bytes
+ */
+function unfilter(raw, height, stride, bpp) {
+    const rows = new Uint8Array(height * stride);
+    let previous = new Uint8Array(stride);
+
+    for (let row = 0; row < height; row++) {
+        const filter = raw[row * (stride + 1)];
+        const line = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+        const current = rows.subarray(row * stride, (row + 1) * stride);
+
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bpp ? current[i - bpp] : 0;
+            const up = previous[i];
+            const upLeft = i >= bpp ? previous[i - bpp] : 0;
+            switch (filter) {
+                case 0: current[i] = line[i]; break;
+                case 1: current[i] = line[i] + left; break;
+                case 2: current[i] = line[i] + up; break;
+                case 3: current[i] = line[i] + ((left + up) >> 1); break;
+                case 4: current[i] = line[i] + paeth(left, up, upLeft); break;
+                default: throw new Error(`Invalid PNG filter: ${filter}`);
+            }
+        }
+        previous = current;
+    }
+    return rows;
+}
+
+/**
+ * Decode a PNG into straight RGBA pixels
+ * Supports every 8-bit and lower colour type without interlacing, the formats
+ * generators and browsers write. 16-bit and interlaced files throw, callers
+ * fall back to the browser's decoder.
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Promise<Object>} Image data {width, height, data}
+ * @throws {Error} On unsupported or invalid files
+ */
+export async function decodePng(bytes) {
+    const { width, height, bitDepth, colorType, interlace } = readPngHeader(bytes);
+    if (bitDepth > 8) {
+        throw new Error(`Unsupported PNG bit depth: ${bitDepth}`);
+    }
+    if (interlace) {
+        throw new Error('Interlaced PNG is not supported');
+    }
+    if (!CHANNELS[colorType]) {
+        throw new Error(`Invalid PNG colour type: ${colorType}`);
+    }
+
+    const chunks = readPngChunks(bytes);
+    const palette = chunks.find(chunk => chunk.type === 'PLTE')?.data;
+    const transparency = chunks.find(chunk => chunk.type === 'tRNS')?.data;
+    const compressed = concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+
+    const bitsPerPixel = CHANNELS[colorType] * bitDepth;
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    const raw = await inflate(compressed);
+    if (raw.length < height * (stride + 1)) {
+        throw new Error('Truncated PNG data');
+    }
+    const rows = unfilter(raw, height, stride, Math.max(1, bitsPerPixel >> 3));
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const maxSample = (1 << bitDepth) - 1;
+    const scale = 255 / maxSample;
+    // tRNS for grey and truecolour images names one fully transparent colour
+    const transparent = transparency && colorType !== 3
+        ? Array.from({ length: transparency.length / 2 }, (_, i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1])
+        : null;
+
+    for (let y = 0; y < height; y++) {
+        const line = rows.subarray(y * stride, (y + 1) * stride);
+        const sample = (index) => {
+            if (bitDepth === 8) return line[index];
+            const bit = index * bitDepth;
+            return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+        };
+
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            switch (colorType) {
+                case 0: {
+                    const grey = sample(x);
+                    data[out] = data[out + 1] = data[out + 2] = Math.round(grey * scale);
+                    data[out + 3] = transparent && grey === transparent[0] ? 0 : 255;
+                    break;
+                }
+                case 2: {
+                    const r = line[x * 3], g = line[x * 3 + 1], b = line[x * 3 + 2];
+                    data[out] = r;
+                    data[out + 1] = g;
+                    data[out + 2] = b;
+                    data[out + 3] = transparent && r === transparent[0] && g === transparent[1] && b === transparent[2] ? 0 : 255;
+                    break;
+                }
+                case 3: {
+                    const index = sample(x);
+                    if (!palette || index * 3 + 2 >= palette.length) {
+                        throw new Error('PNG palette index out of range');
+                    }
+                    data[out] = palette[index * 3];
+                    data[out + 1] = palette[index * 3 + 1];
+                    data[out + 2] = palette[index * 3 + 2];
+                    data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                    break;
+                }
+                case 4:
+                    data[out] = data[out + 1] = data[out + 2] = line[x * 2];
+                    data[out + 3] = line[x * 2 + 1];
+                    break;
+                case 6:
+                    data.set(line.subarray(x * 4, x * 4 + 4), out);
+                    break;
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Encode straight RGBA pixels as an 8-bit RGBA PNG
+ * Each row uses the filter with the smallest sum of absolute differences.
+ * @param {Object} imageData - Image data {width, height, data}
+ * @returns {Promise<Uint8Array>} PNG file, without metadata
+ */
+export async function encodePng({ width, height, data }) {
+    const stride = width * 4;
+    const raw = new Uint8Array(height * (stride + 1));
+    const candidates = Array.from({ length: 5 }, () => new Uint8Array(stride));
+    let previous = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        const line = new Uint8Array(data.buffer, data.byteOffset + y * stride, stride);
+        let best = 0;
+        let bestCost = Infinity;
+
+        for (let filter = 0; filter < 5; filter++) {
+            const out = candidates[filter];
+            let cost = 0;
+            for (let i = 0; i < stride; i++) {
+                const left = i >= 4 ? line[i - 4] : 0;
+                const up = previous[i];
+                const upLeft = i >= 4 ? previous[i - 4] : 0;
+                let predicted = 0;
+                if (filter === 1) predicted = left;
+                else if (filter === 2) predicted = up;
+                else if (filter === 3) predicted = (left + up) >> 1;
+                else if (filter === 4) predicted = paeth(left, up, upLeft);
+
+                const value = (line[i] - predicted) & 0xFF;
+                out[i] = value;
+                cost += value < 128 ? value : 256 - value;
+            }
+            if (cost < bestCost) {
+                best = filter;
+                bestCost = cost;
+            }
+        }
+
+        raw[y * (stride + 1)] = best;
+        raw.set(candidates[best], y * (stride + 1) + 1);
+        previous = line;
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8;      // Bit depth
+    header[9] = 6;      // Truecolour with alpha
+
+    return concat([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND')
+    ]);
+}
@@ -0,0 +1,319 @@
+/**
+ * Watermark profile module
+ * A profile describes one watermark variant: its alpha map, logo colour,
+ * placement rule and the image sizes it applies to. Profiles can be exported
+ * to / imported from versioned JSON.
+ */
+
+import { decodeAlphaMap } from './alphaMap.js';
+import { ALPHA_MAP_48, ALPHA_MAP_96 } from './alphaMapData.js';
+
+export const PROFILE_FORMAT = 'gemini-watermark-remover-profile';
+export const PROFILE_VERSION = 3;
+
+export const ANCHORS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+// Blending defaults, profiles may override them
+const DEFAULT_LOGO_COLOR = [255, 255, 255];
+const DEFAULT_ALPHA_THRESHOLD = 0.002;  // Ignore very small alpha values (noise)
+const DEFAULT_MAX_ALPHA = 0.99;         // Avoid division by near-zero values
+// Share of the alpha map's peak at which pixels are repaired from neighbours. Gemini's
+// logo is a flat plateau around alpha 0.5 that reverse blends well, only its top is repaired.
+const DEFAULT_REPAIR_ALPHA = 0.995;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Check a size or margin: a finite non-negative number, or Infinity for an open upper bound
+ * @param {*} value - Value to check
+ * @param {boolean} open - Whether Infinity is allowed
+ * @returns {boolean}
+ */
+function isBound(value, open) {
+    return typeof value === 'number' && value >= 0 && (Number.isFinite(value) || (open && value === Infinity));
+}
+
+/**
+ * Create a profile, filling defaults and validating fields
+ * @param {Object} options - Profile fields
+ * @param {string} options.id - Unique id, registering the same id replaces the profile
+ * @param {string} [options.name] - Display name
+ * @param {string} [options.family] - Profiles of the same logo captured at different sizes share a family
+ * @param {number} options.width - Alpha map width
+ * @param {number} options.height - Alpha map height
+ * @param {Float32Array} options.alphaMap - Alpha values (0-1), row-major
+ * @param {number[]} [options.logoColor] - Logo colour [r, g, b], white by default
+ * @param {Object} [options.placement] - {anchor, marginX, marginY}, margins from the anchored corner
+ * @param {Object} [options.appliesTo] - Image size range {minWidth, minHeight, maxWidth, maxHeight}
+ * @param {number} [options.alphaThreshold] - Alpha values below this are left untouched
+ * @param {number} [options.maxAlpha] - Alpha values are clamped to this before inverting
+ * @param {number} [options.repairAlpha] - Pixels with alpha at or above this share of the alpha map's
+ *     peak are repaired from neighbours
+ * @returns {Object} Profile
+ * @throws {Error} When a field is invalid
+ */
+export function createProfile({
+    id,
+    name = id,
+    family = id,
+    width,
+    height,
+    alphaMap,
+    logoColor = DEFAULT_LOGO_COLOR,
+    placement = {},
+    appliesTo = {},
+    alphaThreshold = DEFAULT_ALPHA_THRESHOLD,
+    maxAlpha = DEFAULT_MAX_ALPHA,
+    repairAlpha = DEFAULT_REPAIR_ALPHA
+}) {
+    if (typeof id !== 'string' || id === '') {
+        throw new Error('Profile id is required');
+    }
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error(`Invalid alpha map size in profile ${id}`);
+    }
+    if (!alphaMap || alphaMap.length !== width * height) {
+        throw new Error(`Alpha map of profile ${id} does not match ${width}×${height}`);
+    }
+    if (!Array.isArray(logoColor) || logoColor.length !== 3 || logoColor.some(c => !(c >= 0 && c <= 255))) {
+        throw new Error(`Invalid logo colour in profile ${id}`);
+    }
+
+    const { anchor = 'bottom-right', marginX = Math.round(width * 2 / 3), marginY = Math.round(height * 2 / 3) } = placement;
+    if (!ANCHORS.includes(anchor)) {
+        throw new Error(`Unknown placement anchor: ${anchor}`);
+    }
+    if (!isBound(marginX, false) || !isBound(marginY, false)) {
+        throw new Error(`Invalid placement margins in profile ${id}`);
+    }
+    if (!(alphaThreshold >= 0) || !(maxAlpha > alphaThreshold && maxAlpha < 1)) {
+        throw new Error(`Invalid alpha limits in profile ${id}`);
+    }
+    if (!(repairAlpha > 0 && repairAlpha <= 1)) {
+        throw new Error(`Invalid repair alpha in profile ${id}`);
+    }
+
+    const { minWidth = 0, minHeight = 0, maxWidth = Infinity, maxHeight = Infinity } = appliesTo;
+    if (!isBound(minWidth, false) || !isBound(minHeight, false) || !isBound(maxWidth, true) || !isBound(maxHeight, true)) {
+        throw new Error(`Invalid image size range in profile ${id}`);
+    }
+
+    return {
+        id,
+        name,
+        family,
+        width,
+        height,
+        alphaMap,
+        logoColor: [...logoColor],
+        placement: { anchor, marginX, marginY },
+        appliesTo: { minWidth, minHeight, maxWidth, maxHeight },
+        alphaThreshold,
+        maxAlpha,
+        repairAlpha
+    };
+}
+
+/**
+ * Get built-in Gemini profiles (bundled 48×48 and 96×96 captures, white logo)
+ *
+ * Gemini's watermark rules:
+ * If both image width and height are greater than 1024, use 96×96 watermark with 64px margins
+ * Otherwise, use 48×48 watermark with 32px margins
+ *
+ * @returns {Object[]} Profiles, the 96×96 variant first so its size rule is tried first
+ */
+export function getBuiltinProfiles() {
+    return [
+        createProfile({
+            id: 'gemini-96',
+            name: 'Gemini 96×96',
+            family: 'gemini',
+            ...ALPHA_MAP_96,
+            alphaMap: decodeAlphaMap(ALPHA_MAP_96),
+            placement: { marginX: 64, marginY: 64 },
+            appliesTo: { minWidth: 1025, minHeight: 1025 }
+        }),
+        createProfile({
+            id: 'gemini-48',
+            name: 'Gemini 48×48',
+            family: 'gemini',
+            ...ALPHA_MAP_48,
+            alphaMap: decodeAlphaMap(ALPHA_MAP_48),
+            placement: { marginX: 32, marginY: 32 }
+        })
+    ];
+}
+
+/**
+ * Check whether a profile's size rule covers an image
+ * @param {Object} profile - Profile
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {boolean}
+ */
+export function profileAppliesTo(profile, imageWidth, imageHeight) {
+    const { minWidth, minHeight, maxWidth, maxHeight } = profile.appliesTo;
+    return imageWidth >= minWidth && imageWidth <= maxWidth && imageHeight >= minHeight && imageHeight <= maxHeight;
+}
+
+/**
+ * Calculate where a profile's placement rule puts the watermark
+ * @param {Object} profile - Profile
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object} Watermark position {x, y, width, height}
+ */
+export function placeWatermark(profile, imageWidth, imageHeight) {
+    const { width, height, placement: { anchor, marginX, marginY } } = profile;
+
+    return {
+        x: anchor.endsWith('right') ? imageWidth - marginX - width : marginX,
+        y: anchor.startsWith('bottom') ? imageHeight - marginY - height : marginY,
+        width,
+        height
+    };
+}
+
+/**
+ * Decode a serialized alpha map
+ * @param {Object} entry - {width, height, encoding, data}
+ * @returns {Float32Array}
+ */
+function parseAlphaMap({ width, height, encoding, data }) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error('Invalid alpha map size');
+    }
+    if (encoding !== 'uint16le-base64') {
+        throw new Error(`Unsupported alpha map encoding: ${encoding}`);
+    }
+
+    const bytes = decodeBase64(data);
+    if (bytes.length !== width * height * 2) {
+        throw new Error(`Alpha map data does not match ${width}×${height}`);
+    }
+
+    const view = new DataView(bytes.buffer);
+    const alphaMap = new Float32Array(width * height);
+    for (let i = 0; i < alphaMap.length; i++) {
+        alphaMap[i] = view.getUint16(i * 2, true) / 65535;
+    }
+    return alphaMap;
+}
+
+/**
+ * Serialize profiles to JSON
+ * Alpha values are quantized to 16 bits and stored little-endian in base64.
+ * @param {Object[]} profiles - Profiles
+ * @returns {string} JSON text
+ */
+export function serializeProfiles(profiles) {
+    // JSON has no Infinity, open size bounds are left out
+    const finite = bounds => Object.fromEntries(Object.entries(bounds).filter(([, value]) => Number.isFinite(value)));
+
+    return JSON.stringify({
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        createdAt: new Date().toISOString(),
+        profiles: profiles.map(profile => {
+            const { width, height, alphaMap } = profile;
+            const bytes = new Uint8Array(width * height * 2);
+            const view = new DataView(bytes.buffer);
+            for (let i = 0; i < width * height; i++) {
+                view.setUint16(i * 2, Math.round(Math.min(1, Math.max(0, alphaMap[i])) * 65535), true);
+            }
+
+            return {
+                id: profile.id,
+                name: profile.name,
+                family: profile.family,
+                logoColor: profile.logoColor.map(Math.round),
+                placement: profile.placement,
+                appliesTo: finite(profile.appliesTo),
+                alphaThreshold: profile.alphaThreshold,
+                maxAlpha: profile.maxAlpha,
+                repairAlpha: profile.repairAlpha,
+                alphaMap: { width, height, encoding: 'uint16le-base64', data: encodeBase64(bytes) }
+            };
+        })
+    }, null, 2);
+}
+
+/**
+ * Upgrade a version 1 profile (one logo colour, several alpha map sizes)
+ * Each alpha map becomes a profile in the 'gemini' family, using Gemini's placement rules.
+ * @param {Object} data - Parsed version 1 JSON
+ * @returns {Object[]} Version 2 profile entries
+ */
+function upgradeVersion1(data) {
+    if (!Array.isArray(data.alphaMaps)) {
+        throw new Error('Profile has no alpha maps');
+    }
+
+    return data.alphaMaps.map(alphaMap => ({
+        id: `gemini-${alphaMap.width}`,
+        name: `${data.name || 'Imported'} ${alphaMap.width}×${alphaMap.height}`,
+        family: 'gemini',
+        logoColor: data.logoColor,
+        // Same split as the built-in 48×48 / 96×96 rule
+        appliesTo: alphaMap.width > 72 ? { minWidth: 1025, minHeight: 1025 } : {},
+        alphaMap
+    })).sort((a, b) => b.alphaMap.width - a.alphaMap.width);
+}
+
+/**
+ * Parse and validate profile JSON
+ * @param {string|Object} json - JSON text or parsed object
+ * @returns {Object[]} Profiles
+ * @throws {Error} When the JSON is malformed or from a newer version
+ */
+export function parseProfiles(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (data?.format !== PROFILE_FORMAT) {
+        throw new Error('Not a watermark profile');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > PROFILE_VERSION) {
+        throw new Error(`Unsupported profile version: ${data.version}`);
+    }
+
+    const entries = data.version === 1 ? upgradeVersion1(data) : data.profiles;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Profile file has no profiles');
+    }
+
+    return entries.map(({ alphaMap, repairAlpha, ...fields }) => {
+        if (!alphaMap) {
+            throw new Error(`Profile ${fields.id} has no alpha map`);
+        }
+        return createProfile({
+            ...fields,
+            // Before version 3 repairAlpha was an absolute alpha, not a share of the peak
+            repairAlpha: data.version >= 3 ? repairAlpha : undefined,
+            width: alphaMap.width,
+            height: alphaMap.height,
+            alphaMap: parseAlphaMap(alphaMap)
+        });
+    });
+}
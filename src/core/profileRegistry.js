@@ -0,0 +1,79 @@
+/**
+ * Watermark profile registry
+ * Holds the profiles the engine tries, in priority order. Size rules are
+ * checked in this order; template matching compares all profiles.
+ */
+
+import { getBuiltinProfiles, profileAppliesTo } from './profile.js';
+
+export class ProfileRegistry {
+    /**
+     * @param {Object[]} [profiles] - Initial profiles, built-in Gemini profiles by default
+     */
+    constructor(profiles = getBuiltinProfiles()) {
+        this.profiles = [];
+        profiles.forEach(profile => this.register(profile));
+    }
+
+    /**
+     * Add a profile, replacing the one with the same id in place
+     * @param {Object} profile - Profile from createProfile()
+     */
+    register(profile) {
+        const index = this.profiles.findIndex(existing => existing.id === profile.id);
+        if (index >= 0) {
+            this.profiles[index] = profile;
+        } else {
+            this.profiles.push(profile);
+        }
+    }
+
+    /**
+     * Remove a profile
+     * @param {string} id - Profile id
+     * @returns {boolean} Whether a profile was removed
+     */
+    unregister(id) {
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index < 0) return false;
+
+        this.profiles.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * @param {string} id - Profile id
+     * @returns {Object|null} Profile
+     */
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * @returns {Object[]} All profiles in priority order
+     */
+    list() {
+        return [...this.profiles];
+    }
+
+    /**
+     * Get profiles whose size rule covers an image
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Object[]} Profiles in priority order
+     */
+    getApplicable(imageWidth, imageHeight) {
+        return this.profiles.filter(profile => profileAppliesTo(profile, imageWidth, imageHeight));
+    }
+
+    /**
+     * Get profiles capturing the same logo as a profile
+     * @param {Object} profile - Profile
+     * @returns {Object[]} Profiles of the same family, smallest first
+     */
+    getFamily(profile) {
+        return this.profiles
+            .filter(member => member.family === profile.family)
+            .sort((a, b) => a.width * a.height - b.width * b.height);
+    }
+}
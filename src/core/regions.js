@@ -0,0 +1,66 @@
+/**
+ * Region helpers
+ * Watermark regions are boxes {x, y, width, height} in image pixels; APIs that
+ * accept a region also accept a list of them
+ */
+
+/**
+ * Normalize a region or a list of regions to a list
+ * @param {Object|Object[]|null} regions - Region(s)
+ * @returns {Object[]} Regions, empty for null
+ */
+export function toRegions(regions) {
+    if (!regions) return [];
+    return Array.isArray(regions) ? regions : [regions];
+}
+
+/**
+ * Check whether a pixel lies in any region
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @param {Object[]} regions - Regions
+ * @returns {boolean}
+ */
+export function isInRegions(x, y, regions) {
+    return regions.some(region =>
+        x >= region.x && y >= region.y && x < region.x + region.width && y < region.y + region.height);
+}
+
+/**
+ * Get the box covering all regions
+ * @param {Object[]} regions - Regions, at least one
+ * @returns {Object} Bounding box {x, y, width, height}
+ */
+export function getBounds(regions) {
+    const left = Math.min(...regions.map(region => region.x));
+    const top = Math.min(...regions.map(region => region.y));
+    const right = Math.max(...regions.map(region => region.x + region.width));
+    const bottom = Math.max(...regions.map(region => region.y + region.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Replace overlapping regions by their bounding box until none overlap
+ * @param {Object[]} regions - Regions
+ * @returns {Object[]} Disjoint regions covering at least the same pixels
+ */
+export function mergeOverlapping(regions) {
+    const merged = regions.map(region => ({ ...region }));
+    const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+    // A grown box may overlap boxes checked before, so start over after each merge
+    let merging = true;
+    while (merging) {
+        merging = false;
+        for (let i = 0; i < merged.length && !merging; i++) {
+            for (let j = i + 1; j < merged.length; j++) {
+                if (!overlaps(merged[i], merged[j])) continue;
+                merged[i] = getBounds([merged[i], merged[j]]);
+                merged.splice(j, 1);
+                merging = true;
+                break;
+            }
+        }
+    }
+    return merged;
+}
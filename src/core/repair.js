@@ -0,0 +1,125 @@
+/**
+ * Pixel repair module
+ * Fill pixels that reverse blending could not recover (clipped results,
+ * near-opaque alpha) from reliable neighbours, touching nothing outside the mask
+ */
+
+const MAX_REACH = 8;    // How far to look for reliable pixels along each direction (px)
+
+// Interpolation directions: horizontal, vertical and both diagonals
+const DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+// 8-neighbourhood for the fallback fill
+const NEIGHBOURS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Repair masked pixels by edge-aware interpolation
+ *
+ * Each masked pixel is interpolated along the direction whose reliable end points
+ * agree best, so fills follow edges instead of smearing across them. Pixels with
+ * no usable direction are filled from the outside in by averaging repaired or
+ * reliable neighbours.
+ *
+ * @param {Object} imageData - Image data {width, height, data} to repair (will be modified in place)
+ * @param {Uint8Array} mask - Pixels to repair (1) within position, row-major
+ * @param {Object} position - Area covered by the mask {x, y, width, height}
+ * @returns {number} Number of repaired pixels
+ */
+export function repairPixels(imageData, mask, position) {
+    const { width: imageWidth, height: imageHeight, data } = imageData;
+    const { x, y, width, height } = position;
+
+    // Pixels outside the mask, including everything outside position, are reliable
+    const isReliable = (px, py, pending) => {
+        if (px < 0 || py < 0 || px >= imageWidth || py >= imageHeight) return false;
+        const col = px - x;
+        const row = py - y;
+        if (col < 0 || row < 0 || col >= width || row >= height) return true;
+        return !pending[row * width + col];
+    };
+
+    const pending = new Uint8Array(mask);
+    const fills = [];
+
+    // Directional pass, reading reliable pixels only
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            if (!pending[row * width + col]) continue;
+
+            const px = x + col;
+            const py = y + row;
+            let best = null;
+
+            for (const [dx, dy] of DIRECTIONS) {
+                let before = 0;
+                let after = 0;
+                for (let step = 1; step <= MAX_REACH && !before; step++) {
+                    if (isReliable(px - dx * step, py - dy * step, pending)) before = step;
+                }
+                for (let step = 1; step <= MAX_REACH && !after; step++) {
+                    if (isReliable(px + dx * step, py + dy * step, pending)) after = step;
+                }
+                if (!before || !after) continue;
+
+                const a = ((py - dy * before) * imageWidth + (px - dx * before)) * 4;
+                const b = ((py + dy * after) * imageWidth + (px + dx * after)) * 4;
+                const difference = Math.abs(data[a] - data[b]) + Math.abs(data[a + 1] - data[b + 1]) + Math.abs(data[a + 2] - data[b + 2]);
+
+                if (!best || difference < best.difference) {
+                    const t = before / (before + after);
+                    best = {
+                        difference,
+                        color: [0, 1, 2].map(c => data[a + c] + (data[b + c] - data[a + c]) * t)
+                    };
+                }
+            }
+
+            if (best) fills.push({ index: (py * imageWidth + px) * 4, maskIndex: row * width + col, color: best.color });
+        }
+    }
+
+    for (const { index, maskIndex, color } of fills) {
+        for (let c = 0; c < 3; c++) data[index + c] = Math.round(color[c]);
+        pending[maskIndex] = 0;
+    }
+
+    let repaired = fills.length;
+
+    // Fallback pass: peel the remaining holes from the outside in
+    let remaining = pending.reduce((sum, value) => sum + value, 0);
+    while (remaining > 0) {
+        const ring = [];
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (!pending[row * width + col]) continue;
+
+                const px = x + col;
+                const py = y + row;
+                const sum = [0, 0, 0];
+                let count = 0;
+
+                for (const [dx, dy] of NEIGHBOURS) {
+                    if (!isReliable(px + dx, py + dy, pending)) continue;
+                    const index = ((py + dy) * imageWidth + (px + dx)) * 4;
+                    for (let c = 0; c < 3; c++) sum[c] += data[index + c];
+                    count++;
+                }
+
+                if (count) ring.push({ index: (py * imageWidth + px) * 4, maskIndex: row * width + col, color: sum.map(value => value / count) });
+            }
+        }
+
+        // Nothing reliable anywhere around: leave the rest as is
+        if (ring.length === 0) break;
+
+        for (const { index, maskIndex, color } of ring) {
+            for (let c = 0; c < 3; c++) data[index + c] = Math.round(color[c]);
+            pending[maskIndex] = 0;
+        }
+        repaired += ring.length;
+        remaining -= ring.length;
+    }
+
+    return repaired;
+}
@@ -0,0 +1,87 @@
+/**
+ * Resampling module
+ * Separable resampling of single-channel float buffers with fractional scale and offset
+ */
+
+/**
+ * Compute 1D resampling taps
+ * Destination coordinate = source coordinate × scale + offset.
+ * Downscaling integrates source pixels over each destination pixel (area),
+ * upscaling samples bilinearly at destination pixel centers.
+ * Source outside [0, srcLength) counts as zero.
+ * @returns {Array<number[]>} Per destination pixel: flat [srcIndex, weight, ...] list
+ */
+function computeTaps(dstLength, srcLength, scale, offset, normalize) {
+    const taps = [];
+
+    for (let i = 0; i < dstLength; i++) {
+        const list = [];
+
+        if (scale < 1) {
+            const start = Math.max(0, Math.floor((i - offset) / scale));
+            const end = Math.min(srcLength, Math.ceil((i + 1 - offset) / scale));
+            for (let j = start; j < end; j++) {
+                const overlap = Math.min(i + 1, (j + 1) * scale + offset) - Math.max(i, j * scale + offset);
+                if (overlap > 0) list.push(j, overlap);
+            }
+        } else {
+            const u = (i + 0.5 - offset) / scale - 0.5;
+            const j0 = Math.floor(u);
+            const f = u - j0;
+            if (j0 >= 0 && j0 < srcLength && f < 1) list.push(j0, 1 - f);
+            if (j0 + 1 >= 0 && j0 + 1 < srcLength && f > 0) list.push(j0 + 1, f);
+        }
+
+        if (normalize) {
+            let sum = 0;
+            for (let k = 1; k < list.length; k += 2) sum += list[k];
+            if (sum > 0) for (let k = 1; k < list.length; k += 2) list[k] /= sum;
+        }
+
+        taps.push(list);
+    }
+
+    return taps;
+}
+
+/**
+ * Resample a single-channel buffer
+ * @param {Float32Array} src - Source buffer
+ * @param {number} srcWidth - Source width
+ * @param {number} srcHeight - Source height
+ * @param {number} dstWidth - Destination width
+ * @param {number} dstHeight - Destination height
+ * @param {Object} geometry - {scaleX, scaleY, offsetX, offsetY}, destination = source × scale + offset
+ * @param {boolean} [normalize] - Renormalize weights, so edges are not darkened by missing source
+ * @returns {Float32Array} Resampled buffer
+ */
+export function resample(src, srcWidth, srcHeight, dstWidth, dstHeight, geometry, normalize = false) {
+    const { scaleX, scaleY, offsetX = 0, offsetY = 0 } = geometry;
+    const tapsX = computeTaps(dstWidth, srcWidth, scaleX, offsetX, normalize);
+    const tapsY = computeTaps(dstHeight, srcHeight, scaleY, offsetY, normalize);
+
+    // Horizontal pass
+    const temp = new Float32Array(dstWidth * srcHeight);
+    for (let row = 0; row < srcHeight; row++) {
+        const srcOffset = row * srcWidth;
+        for (let col = 0; col < dstWidth; col++) {
+            const list = tapsX[col];
+            let value = 0;
+            for (let k = 0; k < list.length; k += 2) value += src[srcOffset + list[k]] * list[k + 1];
+            temp[row * dstWidth + col] = value;
+        }
+    }
+
+    // Vertical pass
+    const dst = new Float32Array(dstWidth * dstHeight);
+    for (let row = 0; row < dstHeight; row++) {
+        const list = tapsY[row];
+        for (let col = 0; col < dstWidth; col++) {
+            let value = 0;
+            for (let k = 0; k < list.length; k += 2) value += temp[list[k] * dstWidth + col] * list[k + 1];
+            dst[row * dstWidth + col] = value;
+        }
+    }
+
+    return dst;
+}
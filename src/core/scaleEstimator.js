@@ -0,0 +1,219 @@
+/**
+ * Scale estimator
+ * Estimate scale factor and sub-pixel offset of a watermark in resized images,
+ * and render the alpha map at that geometry
+ */
+
+import { resample } from './resample.js';
+import { getLuminance, nccAt, prepareTemplate } from './detector.js';
+
+const TEMPLATE_SIZE = 16;        // Template size used for the coarse scale sweep
+const PLACEMENT_TOLERANCE = 0.5; // Largest distance from the scaled placement rule, in watermark sizes
+const MIN_PLACEMENT_TOLERANCE = 4;  // Same, in pixels, for small watermarks
+const MIN_LOGO_SIZE = 24;        // Smallest watermark size searched (px)
+const MAX_LOGO_SIZE = 160;       // Largest watermark size searched (px)
+const SIZE_STEP = 1.06;          // Ratio between consecutive sizes in the sweep
+const REFINE_CANDIDATES = 3;     // Number of sweep peaks refined at full resolution
+
+// Coordinate descent schedule: position step (px) and relative scale step
+const REFINE_STEPS = [
+    { position: 2, scale: 0.02 },
+    { position: 1, scale: 0.01 },
+    { position: 0.5, scale: 0.004 },
+    { position: 0.25, scale: 0.002 },
+    { position: 0.125, scale: 0.001 }
+];
+const MAX_ITERATIONS = 12;       // Per step level
+
+/**
+ * Render alpha map at fractional position and scale
+ * @param {Float32Array} baseAlphaMap - Alpha map at capture resolution
+ * @param {number} baseWidth - Capture width
+ * @param {number} baseHeight - Capture height
+ * @param {Object} geometry - {x, y, scale}, top-left corner in image pixels and scale relative to capture
+ * @returns {Object} {alphaMap, position}, position is the covering integer box {x, y, width, height}
+ */
+export function renderAlphaMap(baseAlphaMap, baseWidth, baseHeight, geometry) {
+    const { x, y, scale } = geometry;
+    const left = Math.floor(x);
+    const top = Math.floor(y);
+    const width = Math.ceil(x + baseWidth * scale) - left;
+    const height = Math.ceil(y + baseHeight * scale) - top;
+
+    const alphaMap = resample(baseAlphaMap, baseWidth, baseHeight, width, height, {
+        scaleX: scale,
+        scaleY: scale,
+        offsetX: x - left,
+        offsetY: y - top
+    });
+
+    return { alphaMap, position: { x: left, y: top, width, height } };
+}
+
+/**
+ * Get where the placement rule puts a watermark at given scale
+ * Resizing scales the margins along with the logo.
+ * @returns {Object} Top-left corner {x, y} in image pixels and allowed distance from it
+ */
+function getPlacement(imageWidth, imageHeight, baseWidth, baseHeight, scale, { anchor, marginX, marginY }) {
+    const width = baseWidth * scale;
+    const height = baseHeight * scale;
+
+    return {
+        x: anchor.endsWith('right') ? imageWidth - (marginX + baseWidth) * scale : marginX * scale,
+        y: anchor.startsWith('bottom') ? imageHeight - (marginY + baseHeight) * scale : marginY * scale,
+        tolerance: Math.max(MIN_PLACEMENT_TOLERANCE, Math.max(width, height) * PLACEMENT_TOLERANCE)
+    };
+}
+
+/**
+ * Get the area swept for a watermark of given scale: its placement plus tolerance, clipped to the image
+ * @returns {Object} Region {x, y, width, height}
+ */
+function getSweepRegion(imageWidth, imageHeight, baseWidth, baseHeight, scale, placement) {
+    const { x, y, tolerance } = getPlacement(imageWidth, imageHeight, baseWidth, baseHeight, scale, placement);
+    const left = Math.max(0, Math.floor(x - tolerance));
+    const top = Math.max(0, Math.floor(y - tolerance));
+
+    return {
+        x: left,
+        y: top,
+        width: Math.min(imageWidth, Math.ceil(x + baseWidth * scale + tolerance)) - left,
+        height: Math.min(imageHeight, Math.ceil(y + baseHeight * scale + tolerance)) - top
+    };
+}
+
+/**
+ * Score a geometry against the image at full resolution
+ * @returns {number} NCC score, -Infinity when the watermark does not fit in the image
+ *     or strays from the placement rule
+ */
+function scoreGeometry(imageData, baseAlphaMap, baseWidth, baseHeight, geometry, { placement, polarity }) {
+    const expected = getPlacement(imageData.width, imageData.height, baseWidth, baseHeight, geometry.scale, placement);
+    if (Math.abs(geometry.x - expected.x) > expected.tolerance || Math.abs(geometry.y - expected.y) > expected.tolerance) {
+        return -Infinity;
+    }
+
+    const { alphaMap, position } = renderAlphaMap(baseAlphaMap, baseWidth, baseHeight, geometry);
+    if (position.x < 0 || position.y < 0 || position.x + position.width > imageData.width || position.y + position.height > imageData.height) {
+        return -Infinity;
+    }
+
+    const gray = getLuminance(imageData, position);
+    return nccAt(gray, position.width, prepareTemplate(alphaMap, position.width, position.height, polarity), 0, 0);
+}
+
+/**
+ * Sweep watermark sizes on downsampled copies of the area around their placement
+ * The image is scaled so that each candidate size maps onto a fixed small template.
+ * @returns {Object[]} Best peaks [{x, y, scale, score}]
+ */
+function sweepScales(imageData, baseAlphaMap, baseWidth, baseHeight, { placement, polarity }) {
+    const { width, height } = imageData;
+    const template = prepareTemplate(
+        resample(baseAlphaMap, baseWidth, baseHeight, TEMPLATE_SIZE, TEMPLATE_SIZE, {
+            scaleX: TEMPLATE_SIZE / baseWidth,
+            scaleY: TEMPLATE_SIZE / baseHeight
+        }),
+        TEMPLATE_SIZE,
+        TEMPLATE_SIZE,
+        polarity
+    );
+    const peaks = [];
+
+    for (let size = MIN_LOGO_SIZE; size <= MAX_LOGO_SIZE; size *= SIZE_STEP) {
+        const region = getSweepRegion(width, height, baseWidth, baseHeight, size / baseWidth, placement);
+        if (region.width < size || region.height < size) continue;
+
+        const gray = getLuminance(imageData, region);
+        const factor = TEMPLATE_SIZE / size;
+        const scaledWidth = Math.floor(region.width * factor);
+        const scaledHeight = Math.floor(region.height * factor);
+        const scaled = resample(gray, region.width, region.height, scaledWidth, scaledHeight, {
+            scaleX: factor,
+            scaleY: factor
+        }, true);
+
+        for (let y = 0; y <= scaledHeight - TEMPLATE_SIZE; y++) {
+            for (let x = 0; x <= scaledWidth - TEMPLATE_SIZE; x++) {
+                const score = nccAt(scaled, scaledWidth, template, x, y);
+                if (peaks.length < REFINE_CANDIDATES || score > peaks[peaks.length - 1].score) {
+                    peaks.push({ x: region.x + x / factor, y: region.y + y / factor, scale: size / baseWidth, score });
+                    peaks.sort((a, b) => b.score - a.score);
+                    if (peaks.length > REFINE_CANDIDATES) peaks.pop();
+                }
+            }
+        }
+    }
+
+    return peaks;
+}
+
+/**
+ * Refine a geometry by coordinate descent on full resolution NCC
+ * Scale changes keep the watermark center in place.
+ * @returns {Object} Refined {x, y, scale, score}
+ */
+function refineGeometry(imageData, baseAlphaMap, baseWidth, baseHeight, start, search) {
+    let best = { ...start, score: scoreGeometry(imageData, baseAlphaMap, baseWidth, baseHeight, start, search) };
+
+    for (const step of REFINE_STEPS) {
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            const centerX = best.x + (baseWidth * best.scale) / 2;
+            const centerY = best.y + (baseHeight * best.scale) / 2;
+            const candidates = [
+                { x: best.x + step.position, y: best.y, scale: best.scale },
+                { x: best.x - step.position, y: best.y, scale: best.scale },
+                { x: best.x, y: best.y + step.position, scale: best.scale },
+                { x: best.x, y: best.y - step.position, scale: best.scale },
+                ...[1 + step.scale, 1 - step.scale].map(ratio => {
+                    const scale = best.scale * ratio;
+                    return { x: centerX - (baseWidth * scale) / 2, y: centerY - (baseHeight * scale) / 2, scale };
+                })
+            ];
+
+            let improved = false;
+            for (const candidate of candidates) {
+                const score = scoreGeometry(imageData, baseAlphaMap, baseWidth, baseHeight, candidate, search);
+                if (score > best.score) {
+                    best = { ...candidate, score };
+                    improved = true;
+                }
+            }
+            if (!improved) break;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Estimate watermark scale and sub-pixel offset
+ * Only geometries near the placement rule, with margins scaled like the logo, are considered.
+ * @param {Object} imageData - Image data {width, height, data}
+ * @param {Float32Array} baseAlphaMap - Alpha map at capture resolution
+ * @param {number} baseWidth - Capture width
+ * @param {number} baseHeight - Capture height
+ * @param {Object[]} [seeds] - Extra starting geometries [{x, y, scale}], e.g. from exact-size detection
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.placement] - Placement rule at capture resolution {anchor, marginX, marginY},
+ *     bottom-right with margins of 2/3 the capture size by default
+ * @param {number} [options.polarity] - Logo polarity from getLogoPolarity(), light logo by default
+ * @returns {Object|null} Best geometry {x, y, scale, score}
+ */
+export function estimateWatermarkGeometry(imageData, baseAlphaMap, baseWidth, baseHeight, seeds = [], options = {}) {
+    const {
+        placement = { anchor: 'bottom-right', marginX: Math.round(baseWidth * 2 / 3), marginY: Math.round(baseHeight * 2 / 3) },
+        polarity = 1
+    } = options;
+    const search = { placement, polarity };
+    const starts = [...sweepScales(imageData, baseAlphaMap, baseWidth, baseHeight, search), ...seeds];
+    let best = null;
+
+    for (const start of starts) {
+        const refined = refineGeometry(imageData, baseAlphaMap, baseWidth, baseHeight, start, search);
+        if (!best || refined.score > best.score) best = refined;
+    }
+
+    return best && Number.isFinite(best.score) ? best : null;
+}
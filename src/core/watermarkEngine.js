@@ -1,36 +1,78 @@
 /**
  * Watermark engine main module
  * Coordinate watermark detection, alpha map calculation, and removal operations
+ *
+ * The engine is DOM-free: it works on raw RGBA buffers ({width, height, data})
+ * so it runs the same in browsers, workers and Node.
  */
 
-import { calculateAlphaMap } from './alphaMap.js';
+import { resizeAlphaMap } from './alphaMap.js';
 import { removeWatermark } from './blendModes.js';
-import BG_48_PATH from '../assets/bg_48.png';
-import BG_96_PATH from '../assets/bg_96.png';
+import { repairPixels } from './repair.js';
+import { createFootprint, inpaint } from './inpaint.js';
+import {
+    matchWatermark,
+    refineWatermark,
+    scoreWatermark,
+    checkWatermarkPresence,
+    measureWatermarkAmplitude,
+    measureBlendRatio,
+    getSearchRegion,
+    getLogoPolarity
+} from './detector.js';
+import { estimateWatermarkGeometry, renderAlphaMap } from './scaleEstimator.js';
+import { placeWatermark } from './profile.js';
+import { ProfileRegistry } from './profileRegistry.js';
+import { toRegions, isInRegions, getBounds } from './regions.js';
+
+export { getSearchRegion };
+
+// Template matching settings
+const MIN_CONFIDENCE = 0.6;         // Below this NCC score, fall back to size rules
+const RULE_TOLERANCE = 0.01;        // Keep rule position unless a match beats it by this much
+
+// Scale estimation settings
+const SCALE_TOLERANCE = 0.02;           // Use estimated geometry only if it beats exact sizes by this much
+const SCALE_MIN_CONFIDENCE = 0.6;       // Estimates also need this NCC score, like template matches
+const BLEND_TOLERANCE = 0.3;            // Largest deviation of an estimate's blend ratio from 1
+
+// Snapping settings for custom regions
+const SNAP_RADIUS = 4;                          // Largest shift in pixels from where the box was left
+const SNAP_SCALES = [0.95, 0.975, 1, 1.025, 1.05];  // Box sizes tried, relative to the box
+const SNAP_MIN_SCORE = 0.3;                     // Below this NCC score the box stays where it was left
+
+// Removal mode settings
+const FOOTPRINT_ALPHA = 0.05;           // Alpha values inpainted over, fainter ones are reverse blended only
+const AUTO_MIN_QUALITY = 0.8;           // Auto mode inpaints below this reverse blending quality
+const AUTO_MIN_QUALITY_COPY = 0.95;     // Same, for images the originality check rejected
+
+// Engines for detectWatermarkConfig, per registry so their alpha map caches are reused
+let defaultEngine = null;
+const registryEngines = new WeakMap();
 
 /**
  * Detect watermark configuration based on image size
+ * Applies the size rule of the first profile covering the image, like WatermarkEngine.getRuleProfile
  * @param {number} imageWidth - Image width
  * @param {number} imageHeight - Image height
+ * @param {ProfileRegistry} [registry] - Watermark profiles, built-in Gemini profiles by default
  * @returns {Object} Watermark configuration {logoSize, marginRight, marginBottom}
  */
-export function detectWatermarkConfig(imageWidth, imageHeight) {
-    // Gemini's watermark rules:
-    // If both image width and height are greater than 1024, use 96×96 watermark
-    // Otherwise, use 48×48 watermark
-    if (imageWidth > 1024 && imageHeight > 1024) {
-        return {
-            logoSize: 96,
-            marginRight: 64,
-            marginBottom: 64
-        };
+export function detectWatermarkConfig(imageWidth, imageHeight, registry = null) {
+    let engine;
+    if (!registry) {
+        engine = defaultEngine = defaultEngine || new WatermarkEngine();
     } else {
-        return {
-            logoSize: 48,
-            marginRight: 32,
-            marginBottom: 32
-        };
+        engine = registryEngines.get(registry);
+        if (!engine) {
+            engine = new WatermarkEngine(registry);
+            registryEngines.set(registry, engine);
+        }
     }
+    const profile = engine.getRuleProfile(imageWidth, imageHeight);
+    const position = placeWatermark(profile, imageWidth, imageHeight);
+
+    return describeWatermark(profile, position, null, 'rule', imageWidth, imageHeight).config;
 }
 
 /**
@@ -51,129 +93,487 @@ export function calculateWatermarkPosition(imageWidth, imageHeight, config) {
     };
 }
 
+/**
+ * Create a copy of RGBA pixel buffer
+ * @param {Object} imageData - Image data {width, height, data, colorSpace}
+ * @returns {Object} Copied image data {width, height, data, colorSpace}, sRGB unless given
+ */
+export function cloneImageData(imageData) {
+    return {
+        width: imageData.width,
+        height: imageData.height,
+        data: new Uint8ClampedArray(imageData.data),
+        colorSpace: imageData.colorSpace || 'srgb'
+    };
+}
+
+/**
+ * Count pixels outside the watermark regions that differ between two buffers of the same size
+ * @param {Object} before - Image data {width, height, data}
+ * @param {Object} after - Image data {width, height, data}
+ * @param {Object|Object[]} regions - Area(s) allowed to change {x, y, width, height}
+ * @returns {number} Changed pixels
+ */
+export function countChangedOutside(before, after, regions) {
+    const { width, height } = before;
+    const boxes = toRegions(regions);
+    let changed = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (before.data[i] === after.data[i] && before.data[i + 1] === after.data[i + 1] &&
+                before.data[i + 2] === after.data[i + 2] && before.data[i + 3] === after.data[i + 3]) {
+                continue;
+            }
+            if (!isInRegions(x, y, boxes)) changed++;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Check whether a position lies fully inside the image
+ * @returns {boolean}
+ */
+function fitsImage(position, imageWidth, imageHeight) {
+    return position.x >= 0 && position.y >= 0 &&
+        position.x + position.width <= imageWidth && position.y + position.height <= imageHeight;
+}
+
+/**
+ * Build watermark information reported to callers
+ * @returns {Object} Watermark information {size, position, config, confidence, method, profile}
+ */
+function describeWatermark(profile, position, confidence, method, imageWidth, imageHeight) {
+    return {
+        size: position.width,
+        position,
+        config: {
+            logoSize: position.width,
+            marginRight: imageWidth - position.x - position.width,
+            marginBottom: imageHeight - position.y - position.height
+        },
+        confidence,
+        method,
+        profile: { id: profile.id, name: profile.name }
+    };
+}
+
+/**
+ * Summarize the results of several regions
+ * @param {Object[]} results - Per-region results {position, info, presence, removed, accuracy}
+ * @returns {Object} {position, info, presence, removed, accuracy}; position covers all regions,
+ *     info is the first region's, accuracy reports the weakest region
+ */
+function combineResults(results) {
+    const [first] = results;
+    const accuracies = results.map(result => result.accuracy).filter(Boolean);
+    const weakest = accuracies.reduce((worst, accuracy) => (!worst || accuracy.quality < worst.quality ? accuracy : worst), null);
+
+    return {
+        position: getBounds(results.map(result => result.position)),
+        info: first.info,
+        presence: results.find(result => result.presence.verdict === 'present')?.presence || first.presence,
+        removed: results.some(result => result.removed),
+        accuracy: weakest && {
+            ...weakest,
+            mode: accuracies.some(accuracy => accuracy.mode === 'inpaint') ? 'inpaint' : 'lossless',
+            exact: accuracies.every(accuracy => accuracy.exact),
+            repaired: accuracies.reduce((sum, accuracy) => sum + accuracy.repaired, 0),
+            inpainted: accuracies.reduce((sum, accuracy) => sum + accuracy.inpainted, 0)
+        }
+    };
+}
+
 /**
  * Watermark engine class
  * Coordinate watermark detection, alpha map calculation, and removal operations
  */
 export class WatermarkEngine {
-    constructor(bgCaptures) {
-        this.bgCaptures = bgCaptures;
-        this.alphaMaps = {};
+    /**
+     * @param {ProfileRegistry} [registry] - Watermark profiles to try, built-in Gemini profiles by default
+     */
+    constructor(registry = new ProfileRegistry()) {
+        this.registry = registry;
+        // Resized alpha maps, cached per profile object so replaced profiles drop theirs
+        this.alphaMaps = new WeakMap();
     }
 
-    static async create() {
-        const bg48 = new Image();
-        const bg96 = new Image();
-
-        await Promise.all([
-            new Promise((resolve, reject) => {
-                bg48.onload = resolve;
-                bg48.onerror = reject;
-                bg48.src = BG_48_PATH;
-            }),
-            new Promise((resolve, reject) => {
-                bg96.onload = resolve;
-                bg96.onerror = reject;
-                bg96.src = BG_96_PATH;
-            })
-        ]);
-
-        return new WatermarkEngine({ bg48, bg96 });
+    /**
+     * @param {ProfileRegistry} [registry] - Watermark profiles to try
+     */
+    static async create(registry) {
+        return new WatermarkEngine(registry);
     }
 
     /**
-     * Get alpha map from background captured image based on watermark dimensions
-     * @param {number} width - Watermark width
-     * @param {number} height - Watermark height (optional, defaults to width)
-     * @returns {Promise<Float32Array>} Alpha map
+     * Get the profile whose size rule covers an image
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Object} First applicable profile, or the first registered one when none applies
+     * @throws {Error} When no profiles are registered
      */
-    async getAlphaMap(width, height = width) {
+    getRuleProfile(imageWidth, imageHeight) {
+        const profile = this.registry.getApplicable(imageWidth, imageHeight)[0] || this.registry.list()[0];
+        if (!profile) {
+            throw new Error('No watermark profiles registered');
+        }
+        return profile;
+    }
+
+    /**
+     * Get a profile's alpha map at given dimensions
+     * @param {Object} profile - Watermark profile
+     * @param {number} [width] - Watermark width, defaults to the profile's
+     * @param {number} [height] - Watermark height, defaults to the profile's
+     * @returns {Float32Array} Alpha map
+     */
+    getAlphaMap(profile, width = profile.width, height = profile.height) {
+        if (width === profile.width && height === profile.height) {
+            return profile.alphaMap;
+        }
+
+        let cache = this.alphaMaps.get(profile);
+        if (!cache) {
+            cache = new Map();
+            this.alphaMaps.set(profile, cache);
+        }
+
         const cacheKey = `${width}x${height}`;
+        if (!cache.has(cacheKey)) {
+            cache.set(cacheKey, resizeAlphaMap(profile.alphaMap, profile.width, profile.height, width, height));
+        }
+        return cache.get(cacheKey);
+    }
 
-        // If cached, return directly
-        if (this.alphaMaps[cacheKey]) {
-            return this.alphaMaps[cacheKey];
+    /**
+     * Find the profile that best matches the image at a given position
+     * @param {Object} imageData - Image data {width, height, data}
+     * @param {Object} position - Watermark position {x, y, width, height}
+     * @returns {Object} {profile, alphaMap, score}
+     */
+    matchProfileAt(imageData, position) {
+        let best = null;
+
+        for (const profile of this.registry.list()) {
+            const alphaMap = this.getAlphaMap(profile, position.width, position.height);
+            const score = scoreWatermark(imageData, alphaMap, position, getLogoPolarity(profile.logoColor));
+            if (!best || score > best.score) {
+                best = { profile, alphaMap, score };
+            }
+        }
+
+        if (!best) {
+            throw new Error('No watermark profiles registered');
         }
+        return best;
+    }
 
-        // Select corresponding background capture based on watermark size
-        // Heuristic: use bg96 if larger dimension > 72, otherwise bg48
-        const bgImage = Math.max(width, height) > 72 ? this.bgCaptures.bg96 : this.bgCaptures.bg48;
+    /**
+     * Snap a hand-placed region to the best matching watermark nearby
+     * Tries every profile at slightly scaled sizes around the region's centre and
+     * at offsets within a few pixels. Being one pixel off leaves an outline of the logo.
+     * @param {Object} imageData - Image data {width, height, data}
+     * @param {Object} region - Region as placed {x, y, width, height}
+     * @returns {Object} {position, confidence, snapped}; position is the region itself when
+     *     nothing nearby matches, confidence the NCC score at position
+     */
+    snapRegion(imageData, region) {
+        // Scaled sizes, plus native profile sizes in the same range: exact alpha maps match best
+        const minScale = SNAP_SCALES[0];
+        const maxScale = SNAP_SCALES[SNAP_SCALES.length - 1];
+        const sizes = new Map();
+        for (const scale of SNAP_SCALES) {
+            const width = Math.round(region.width * scale);
+            const height = Math.round(region.height * scale);
+            sizes.set(`${width}x${height}`, { width, height });
+        }
+        for (const { width, height } of this.registry.list()) {
+            const scaleX = width / region.width;
+            const scaleY = height / region.height;
+            if (scaleX >= minScale && scaleX <= maxScale && scaleY >= minScale && scaleY <= maxScale) {
+                sizes.set(`${width}x${height}`, { width, height });
+            }
+        }
+
+        let best = null;
+        for (const { width, height } of sizes.values()) {
+            if (width > imageData.width || height > imageData.height) continue;
+
+            const start = {
+                x: Math.round(region.x + (region.width - width) / 2),
+                y: Math.round(region.y + (region.height - height) / 2),
+                width,
+                height
+            };
+            for (const profile of this.registry.list()) {
+                const alphaMap = this.getAlphaMap(profile, width, height);
+                const match = refineWatermark(imageData, alphaMap, start, SNAP_RADIUS, getLogoPolarity(profile.logoColor));
+                if (match && (!best || match.score > best.score)) best = match;
+            }
+        }
+
+        if (!best || best.score < SNAP_MIN_SCORE) {
+            return { position: region, confidence: this.matchProfileAt(imageData, region).score, snapped: false };
+        }
 
-        // Create temporary canvas to extract ImageData
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
+        const { score, ...position } = best;
+        return { position, confidence: score, snapped: true };
+    }
 
-        // Draw and scale background image
-        ctx.drawImage(bgImage, 0, 0, width, height);
+    /**
+     * Detect watermark by template matching every registered profile, falling back to size rules
+     * @param {Object} imageData - Image data {width, height, data}
+     * @returns {Object} Watermark information {size, position, config, confidence, method, profile}
+     */
+    detectWatermark(imageData) {
+        const { width, height } = imageData;
+        const ruleProfile = this.getRuleProfile(width, height);
+        const rulePosition = placeWatermark(ruleProfile, width, height);
+        const ruleFits = fitsImage(rulePosition, width, height);
 
-        const imageData = ctx.getImageData(0, 0, width, height);
+        const ruleScore = ruleFits
+            ? scoreWatermark(imageData, ruleProfile.alphaMap, rulePosition, getLogoPolarity(ruleProfile.logoColor))
+            : 0;
+        let best = ruleFits ? { profile: ruleProfile, position: rulePosition, score: ruleScore } : null;
 
-        // Calculate alpha map
-        const alphaMap = calculateAlphaMap(imageData);
+        for (const profile of this.registry.list()) {
+            const region = getSearchRegion(width, height, Math.max(profile.width, profile.height), profile.placement.anchor);
+            const match = matchWatermark(
+                imageData,
+                profile.alphaMap,
+                profile.width,
+                profile.height,
+                region,
+                getLogoPolarity(profile.logoColor)
+            );
+            if (match && (!best || match.score > best.score + RULE_TOLERANCE)) {
+                const { score, ...position } = match;
+                best = { profile, position, score };
+            }
+        }
 
-        // Cache result
-        this.alphaMaps[cacheKey] = alphaMap;
+        if (!best || best.score < MIN_CONFIDENCE) {
+            return describeWatermark(ruleProfile, rulePosition, Math.max(0, ruleScore), 'rule', width, height);
+        }
 
-        return alphaMap;
+        return describeWatermark(best.profile, best.position, best.score, 'template', width, height);
     }
 
     /**
-     * Remove watermark from image based on watermark size
-     * @param {HTMLImageElement|HTMLCanvasElement} image - Input image
-     * @param {Object} [customPosition] - Optional custom watermark position {x, y, width, height}
-     * @returns {Promise<HTMLCanvasElement>} Processed canvas
+     * Estimate watermark geometry in a resized image
+     * Renders from the largest capture in the profile family, it holds the most detail.
+     * @param {Object} imageData - Image data {width, height, data}
+     * @param {Object} [seedInfo] - Detection result; template matches also seed the refinement
+     * @returns {Object|null} Watermark information {size, position, config, confidence, method, profile, geometry} with rendered alphaMap
      */
-    async removeWatermarkFromImage(image, customPosition = null) {
-        // Create canvas to process image
-        const canvas = document.createElement('canvas');
-        canvas.width = image.width;
-        canvas.height = image.height;
-        const ctx = canvas.getContext('2d');
+    estimateWatermark(imageData, seedInfo = null) {
+        const { width, height } = imageData;
+        const seedProfile = seedInfo && this.registry.get(seedInfo.profile.id);
+        const family = this.registry.getFamily(seedProfile || this.getRuleProfile(width, height));
+        const source = family[family.length - 1];
+        const seeds = seedInfo && seedInfo.method !== 'rule'
+            ? [{ x: seedInfo.position.x, y: seedInfo.position.y, scale: seedInfo.position.width / source.width }]
+            : [];
 
-        // Draw original image onto canvas
-        ctx.drawImage(image, 0, 0);
+        const estimate = estimateWatermarkGeometry(imageData, source.alphaMap, source.width, source.height, seeds, {
+            placement: source.placement,
+            polarity: getLogoPolarity(source.logoColor)
+        });
+        if (!estimate) return null;
 
-        // Get image data
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { alphaMap, position } = renderAlphaMap(source.alphaMap, source.width, source.height, estimate);
+        // Scale is reported against the closest native size
+        const size = source.width * estimate.scale;
+        const native = family.reduce((closest, member) =>
+            Math.abs(Math.log(size / member.width)) < Math.abs(Math.log(size / closest.width)) ? member : closest);
 
-        let position;
+        return {
+            ...describeWatermark(native, position, estimate.score, 'scaled', width, height),
+            geometry: { x: estimate.x, y: estimate.y, size, scale: size / native.width },
+            alphaMap
+        };
+    }
+
+    /**
+     * Check whether an estimated geometry is trustworthy enough to replace exact sizes
+     * Estimates search many scales and offsets, so textures and gradients find logo-shaped
+     * matches on clean images. Besides beating the exact-size match, an estimate needs a
+     * template match's score, a presence check that passes, and an amplitude that fits
+     * blending the logo over the background around it.
+     * @param {Object} imageData - Image data {width, height, data}
+     * @param {Object} estimate - Result of estimateWatermark
+     * @param {Object} info - Watermark information at exact sizes
+     * @param {Object} profile - Detected profile
+     * @returns {boolean}
+     */
+    isEstimateReliable(imageData, estimate, info, profile) {
+        if (estimate.confidence < SCALE_MIN_CONFIDENCE || estimate.confidence <= info.confidence + SCALE_TOLERANCE) {
+            return false;
+        }
+        const { alphaMap, position } = estimate;
+        if (checkWatermarkPresence(imageData, alphaMap, position, profile.logoColor).verdict !== 'present') {
+            return false;
+        }
+        return Math.abs(measureBlendRatio(imageData, alphaMap, position, profile.logoColor) - 1) <= BLEND_TOLERANCE;
+    }
+
+    /**
+     * Remove watermark from RGBA pixel buffer
+     * Several regions are processed one after another, each with the alpha map
+     * resized to its own box, e.g. composites holding more than one watermark.
+     * @param {Object} imageData - Input image data {width, height, data}, left untouched
+     * @param {Object|Object[]} [customPosition] - Optional custom watermark position {x, y, width, height},
+     *     or a list of them
+     * @param {Object} [options] - Removal options
+     * @param {boolean} [options.skipUnlessPresent] - Leave pixels unchanged unless the presence check
+     *     finds the watermark, i.e. on 'absent' and 'uncertain' verdicts
+     * @param {boolean|string} [options.estimateScale] - 'auto' (default) searches for a resized watermark
+     *     when the presence check finds none at the detected position, true also searches when a watermark
+     *     was found away from the placement rule's position, false never does
+     * @param {boolean} [options.repair] - Fill clipped and near-opaque pixels from neighbours (default true)
+     * @param {string} [options.mode] - 'lossless' (default) reverse blends, 'inpaint' also fills the logo
+     *     footprint from its surroundings, 'auto' inpaints only when reverse blending leaves a visible residue,
+     *     never after an exact-size template match
+     * @param {boolean} [options.original] - Result of the originality check, if known; auto mode trusts
+     *     reverse blending on original files and is stricter with copies
+     * @returns {Object} Result {imageData, position, regions, info, presence, removed, accuracy};
+     *     regions lists the processed boxes, with a list of custom regions position covers all of them
+     *     and regionResults holds each region's {position, info, presence, removed, accuracy}
+     * @throws {Error} When an empty list of regions is given
+     */
+    removeWatermarkFromImageData(imageData, customPosition = null, options = {}) {
+        const output = cloneImageData(imageData);
+
+        if (!Array.isArray(customPosition)) {
+            const result = this.removeFromRegion(output, customPosition, options);
+            return { imageData: output, ...result, regions: [result.position] };
+        }
+        if (customPosition.length === 0) {
+            throw new Error('No watermark regions given');
+        }
+
+        const regionResults = customPosition.map(region => this.removeFromRegion(output, region, options));
+        return {
+            imageData: output,
+            ...combineResults(regionResults),
+            regions: regionResults.map(result => result.position),
+            regionResults
+        };
+    }
+
+    /**
+     * Remove one watermark in place
+     * @param {Object} output - Image data {width, height, data}, modified in place
+     * @param {Object} [customPosition] - Optional custom watermark position {x, y, width, height}
+     * @param {Object} options - Removal options, see removeWatermarkFromImageData
+     * @returns {Object} Result {position, info, presence, removed, accuracy}
+     */
+    removeFromRegion(output, customPosition, options) {
+        const { skipUnlessPresent = false, estimateScale = 'auto', repair = true, mode = 'lossless', original } = options;
+
+        let info;
+        let alphaMap;
+        let presence = null;
 
         if (customPosition) {
-            position = customPosition;
+            // Custom boxes may have any size, keep the profile whose logo fits them best
+            const match = this.matchProfileAt(output, customPosition);
+            alphaMap = match.alphaMap;
+            info = {
+                ...describeWatermark(match.profile, customPosition, null, 'custom', output.width, output.height),
+                config: null
+            };
         } else {
-            // Detect watermark configuration
-            const config = detectWatermarkConfig(canvas.width, canvas.height);
-            position = calculateWatermarkPosition(canvas.width, canvas.height, config);
+            info = this.detectWatermark(output);
+
+            // Check pixels at the detected or rule position before touching them
+            const detected = this.registry.get(info.profile.id);
+            alphaMap = this.getAlphaMap(detected, info.position.width, info.position.height);
+            presence = checkWatermarkPresence(output, alphaMap, info.position, detected.logoColor);
+
+            // Resized images: resample alpha map to the estimated scale and sub-pixel offset,
+            // in auto mode only when exact sizes leave no watermark at the detected position.
+            // A watermark found where the placement rule puts it is never replaced.
+            const rulePosition = placeWatermark(detected, output.width, output.height);
+            const atRule = info.position.x === rulePosition.x && info.position.y === rulePosition.y &&
+                info.position.width === rulePosition.width && info.position.height === rulePosition.height;
+            const searchScale = presence.verdict === 'absent' ? estimateScale !== false : estimateScale === true && !atRule;
+            if (searchScale) {
+                const estimate = this.estimateWatermark(output, info);
+                if (estimate && this.isEstimateReliable(output, estimate, info, detected)) {
+                    ({ alphaMap, ...info } = estimate);
+                    presence = checkWatermarkPresence(output, alphaMap, info.position, detected.logoColor);
+                }
+            }
         }
 
-        // Get alpha map for watermark size
-        const alphaMap = await this.getAlphaMap(position.width, position.height);
+        const { position } = info;
+        const profile = this.registry.get(info.profile.id);
+
+        if (!presence) {
+            presence = checkWatermarkPresence(output, alphaMap, position, profile.logoColor);
+        }
+        if (skipUnlessPresent && presence.verdict !== 'present') {
+            return { position, info, presence, removed: false, accuracy: null };
+        }
 
         // Remove watermark from image data
-        removeWatermark(imageData, alphaMap, position);
+        const amplitude = measureWatermarkAmplitude(output, alphaMap, position);
+        const unreliable = removeWatermark(output, alphaMap, position, profile);
+
+        // Pixels reverse blending could not recover
+        const repaired = repair && mode !== 'inpaint' ? repairPixels(output, unreliable, position) : 0;
+
+        // Share of the watermark amplitude left after removal, 0 is ideal
+        const measureResidual = () => amplitude !== 0 ? measureWatermarkAmplitude(output, alphaMap, position) / amplitude : 0;
+        let residual = measureResidual();
+        let appliedMode = 'lossless';
+        let inpainted = 0;
 
-        // Write processed image data back to canvas
-        ctx.putImageData(imageData, 0, 0);
+        // Inpaint over the reverse blended result: faint halo pixels outside the footprint keep their exact values.
+        // The residual also picks up background that happens to follow the logo's shape, so auto mode
+        // trusts reverse blending after an exact-size template match, where the alpha map is the captured one.
+        const minQuality = original === true ? 0 : original === false ? AUTO_MIN_QUALITY_COPY : AUTO_MIN_QUALITY;
+        const autoInpaint = mode === 'auto' && info.method !== 'template' && 1 - Math.abs(residual) < minQuality;
+        if (mode === 'inpaint' || autoInpaint) {
+            const footprint = createFootprint(alphaMap, position.width, position.height, FOOTPRINT_ALPHA);
+            inpainted = inpaint(output, footprint, position);
+            residual = measureResidual();
+            appliedMode = 'inpaint';
+        }
+
+        const accuracy = {
+            mode: appliedMode,
+            exact: appliedMode === 'lossless' && info.method !== 'scaled' &&
+                position.width === profile.width && position.height === profile.height,
+            scale: info.geometry ? info.geometry.scale : 1,
+            residual,
+            quality: Math.max(0, 1 - Math.abs(residual)),
+            repaired,
+            inpainted
+        };
 
-        return canvas;
+        return { position, info, presence, removed: true, accuracy };
     }
 
     /**
      * Get watermark information (for display)
+     * Uses template matching when pixels are available, size rules otherwise
      * @param {number} imageWidth - Image width
      * @param {number} imageHeight - Image height
-     * @returns {Object} Watermark information {size, position, config}
+     * @param {Object} [imageData] - Optional image data {width, height, data}
+     * @returns {Object} Watermark information {size, position, config, confidence, method, profile}
      */
-    getWatermarkInfo(imageWidth, imageHeight) {
-        const config = detectWatermarkConfig(imageWidth, imageHeight);
-        const position = calculateWatermarkPosition(imageWidth, imageHeight, config);
+    getWatermarkInfo(imageWidth, imageHeight, imageData = null) {
+        if (imageData) {
+            return this.detectWatermark(imageData);
+        }
 
-        return {
-            size: config.logoSize,
-            position: position,
-            config: config
-        };
+        const profile = this.getRuleProfile(imageWidth, imageHeight);
+        const position = placeWatermark(profile, imageWidth, imageHeight);
+
+        return describeWatermark(profile, position, null, 'rule', imageWidth, imageHeight);
     }
 }
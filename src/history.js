@@ -0,0 +1,154 @@
+/**
+ * Session history panel
+ * List stored sessions with their storage use, restore or delete them, and
+ * offer the last session again after a reload
+ */
+
+import i18n from './i18n.js';
+import { listSessions, deleteSession, clearSessions, getStorageUsage } from './sessionStore.js';
+
+const historyBtn = document.getElementById('historyBtn');
+const historySection = document.getElementById('historySection');
+const historyList = document.getElementById('historyList');
+const historyUsage = document.getElementById('historyUsage');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const restorePrompt = document.getElementById('restorePrompt');
+const restorePromptText = document.getElementById('restorePromptText');
+const restorePromptBtn = document.getElementById('restorePromptBtn');
+const dismissRestoreBtn = document.getElementById('dismissRestoreBtn');
+
+let restoreSession = () => {};
+let promptedSession = null;
+
+/**
+ * Format a byte count with a binary unit
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Describe a session: when it was last changed, its images and their size
+ * @param {Object} session - Session {updatedAt, count, completed, bytes}
+ * @returns {string}
+ */
+function describeSession({ updatedAt, count, completed, bytes }) {
+    const date = new Date(updatedAt).toLocaleString(i18n.locale);
+    return `${date} · ${i18n.t('history.images')}: ${completed}/${count} · ${formatBytes(bytes)}`;
+}
+
+/**
+ * Show the stored sessions and the storage used by the page
+ */
+async function renderHistory() {
+    let sessions;
+    try {
+        sessions = (await listSessions()).filter(session => session.count > 0);
+    } catch (error) {
+        console.error('session history failed to load:', error);
+        historyList.innerHTML = `<li class="py-3 text-err">${i18n.t('history.unavailable')}</li>`;
+        return;
+    }
+
+    historyList.innerHTML = sessions.length === 0
+        ? `<li class="py-3 text-gray-400">${i18n.t('history.empty')}</li>`
+        : sessions.map(session => `
+            <li class="py-3 flex flex-wrap items-center gap-2">
+                <span class="flex-1 min-w-0 text-gray-700">${describeSession(session)}</span>
+                <button class="px-3 py-1.5 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 rounded-lg text-xs" data-restore="${session.id}">${i18n.t('history.restore')}</button>
+                <button class="px-3 py-1.5 bg-white border border-gray-200 hover:bg-gray-50 hover:text-red-500 text-gray-700 rounded-lg text-xs" data-delete="${session.id}">${i18n.t('history.delete')}</button>
+            </li>
+        `).join('');
+    clearHistoryBtn.disabled = sessions.length === 0;
+
+    const usage = await getStorageUsage().catch(() => null);
+    historyUsage.textContent = usage
+        ? `${i18n.t('history.usage')}: ${formatBytes(usage.usage)} / ${formatBytes(usage.quota)}`
+        : '';
+}
+
+/**
+ * Offer to restore the most recent session, if one was stored
+ */
+export async function showRestorePrompt() {
+    try {
+        const [latest] = (await listSessions()).filter(session => session.count > 0);
+        if (!latest) return;
+        promptedSession = latest;
+        restorePromptText.textContent = `${i18n.t('history.prompt')} ${describeSession(latest)}`;
+        restorePrompt.style.display = 'flex';
+    } catch (error) {
+        console.error('session history failed to load:', error);
+    }
+}
+
+export function hideRestorePrompt() {
+    promptedSession = null;
+    restorePrompt.style.display = 'none';
+}
+
+/**
+ * Refresh the history panel after sessions changed
+ */
+export function refreshHistory() {
+    if (historySection.style.display !== 'none') renderHistory();
+}
+
+/**
+ * Refresh texts built at runtime after a language switch
+ */
+export function updateHistoryTexts() {
+    if (promptedSession) restorePromptText.textContent = `${i18n.t('history.prompt')} ${describeSession(promptedSession)}`;
+    refreshHistory();
+}
+
+/**
+ * setup session history panel and restore prompt
+ * @param {Function} onRestore - Called with a session id to load it into the page
+ */
+export function setupHistory(onRestore) {
+    restoreSession = onRestore;
+
+    historyBtn.addEventListener('click', () => {
+        historySection.style.display = 'block';
+        historySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        renderHistory();
+    });
+
+    historyList.addEventListener('click', async (e) => {
+        const restoreBtn = e.target.closest('button[data-restore]');
+        const deleteBtn = e.target.closest('button[data-delete]');
+        if (restoreBtn) {
+            hideRestorePrompt();
+            restoreSession(Number(restoreBtn.dataset.restore));
+        } else if (deleteBtn) {
+            const id = Number(deleteBtn.dataset.delete);
+            if (promptedSession?.id === id) hideRestorePrompt();
+            await deleteSession(id).catch(error => console.error('session delete failed:', error));
+            renderHistory();
+        }
+    });
+
+    clearHistoryBtn.addEventListener('click', async () => {
+        if (!confirm(i18n.t('history.confirmClear'))) return;
+        hideRestorePrompt();
+        await clearSessions().catch(error => console.error('session history clear failed:', error));
+        renderHistory();
+    });
+
+    restorePromptBtn.addEventListener('click', () => {
+        const session = promptedSession;
+        hideRestorePrompt();
+        if (session) restoreSession(session.id);
+    });
+    dismissRestoreBtn.addEventListener('click', hideRestorePrompt);
+}
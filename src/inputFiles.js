@@ -0,0 +1,166 @@
+/**
+ * Input files
+ * Read dropped folders recursively and unpack ZIP archives, keeping the path of
+ * every image relative to what was dropped or picked
+ */
+
+import JSZip from 'jszip';
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;    // Same limit as single files, checked while unpacking
+
+/**
+ * Check whether a file or file system entry is a ZIP archive
+ * @param {File|FileSystemEntry} file - File or entry
+ * @returns {boolean}
+ */
+export function isArchive(file) {
+    return /\.zip$/i.test(file.name) || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+}
+
+/**
+ * Clean a relative path: forward slashes, no empty, '.' or '..' segments, so
+ * archive entries cannot point outside their folder
+ * @param {string} path - Relative path
+ * @returns {string}
+ */
+export function normalizePath(path) {
+    return path.split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..').join('/');
+}
+
+/**
+ * Make a path unique among those already used by appending " (2)", " (3)", ...
+ * before the extension; paths differing only in case count as the same
+ * @param {string} path - Relative path
+ * @param {Set<string>} used - Lowercased paths taken so far, the result is added
+ * @returns {string}
+ */
+export function getUniquePath(path, used) {
+    const [, base, ext] = path.match(/^(.*?)(\.[^./]*)?$/);
+    let unique = path;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+        unique = `${base} (${n})${ext || ''}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+}
+
+/**
+ * Take the entries of a drop, which are only available while the drop event runs
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {Array<File|FileSystemEntry>} Entries, or files where the entries API is missing
+ */
+export function getDroppedEntries(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+        return Array.from(dataTransfer.files);
+    }
+    return items.map(item => item.webkitGetAsEntry()).filter(Boolean);
+}
+
+function readFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+/**
+ * Read all entries of a directory, the reader hands them out in batches
+ * @param {FileSystemDirectoryEntry} entry - Directory
+ * @returns {Promise<FileSystemEntry[]>}
+ */
+async function readDirectory(entry) {
+    const reader = entry.createReader();
+    const entries = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) return entries;
+        entries.push(...batch);
+    }
+}
+
+/**
+ * Unpack an archive entry, giving up as soon as it grows past the size limit
+ * Sizes in the archive's directory can be forged, so the unpacked bytes are counted.
+ * @param {JSZipObject} entry - Archive entry
+ * @param {string} type - MIME type of the result
+ * @returns {Promise<Blob|null>} Contents, null when the entry is too large
+ */
+function unpackEntry(entry, type) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const stream = entry.internalStream('uint8array');
+        stream
+            .on('data', (chunk) => {
+                if (size > MAX_ENTRY_SIZE) return;
+                size += chunk.length;
+                if (size > MAX_ENTRY_SIZE) {
+                    stream.pause();
+                    resolve(null);
+                } else {
+                    chunks.push(chunk);
+                }
+            })
+            .on('error', reject)
+            .on('end', () => resolve(new Blob(chunks, { type })));
+        stream.resume();
+    });
+}
+
+/**
+ * Unpack the images of a ZIP archive
+ * Hidden files and macOS resource forks are skipped, and so are entries too
+ * large to be processed, without unpacking more than the limit.
+ * @param {Blob} file - Archive
+ * @param {string} folder - Path the archive's contents are placed under
+ * @returns {Promise<Object[]>} Images {file, path}
+ */
+async function unpackArchive(file, folder) {
+    const zip = await JSZip.loadAsync(file);
+    const images = [];
+
+    for (const entry of Object.values(zip.files)) {
+        const path = normalizePath(entry.name);
+        const name = path.split('/').pop();
+        const type = IMAGE_TYPES[name.split('.').pop().toLowerCase()];
+        if (entry.dir || !type || name.startsWith('.') || path.startsWith('__MACOSX/')) continue;
+        const blob = await unpackEntry(entry, type);
+        if (!blob) continue;
+        images.push({ file: new File([blob], name, { type, lastModified: entry.date?.getTime() }), path: normalizePath(`${folder}/${path}`) });
+    }
+    return images;
+}
+
+/**
+ * Collect images from picked files, dropped files and folders, and ZIP archives
+ * Folders are read recursively. An archive's contents go into a folder named
+ * after it, so exports can recreate the structure.
+ * @param {Array<File|FileSystemEntry>} inputs - Files or file system entries
+ * @returns {Promise<Object[]>} Images {file, path} in input order, path relative and '/'-separated
+ */
+export async function readInputFiles(inputs) {
+    const images = [];
+
+    const visit = async (input, folder) => {
+        if (input.isDirectory) {
+            const entries = await readDirectory(input);
+            entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            for (const entry of entries) await visit(entry, `${folder}${input.name}/`);
+            return;
+        }
+
+        const file = input.isFile ? await readFile(input) : input;
+        if (isArchive(file)) {
+            try {
+                images.push(...await unpackArchive(file, normalizePath(folder + file.name.replace(/\.zip$/i, ''))));
+            } catch (error) {
+                console.warn(`archive ${file.name} skipped:`, error);
+            }
+        } else {
+            images.push({ file, path: normalizePath(folder + file.name) });
+        }
+    };
+
+    for (const input of inputs) await visit(input, '');
+    return images;
+}
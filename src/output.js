@@ -0,0 +1,166 @@
+/**
+ * Output format settings
+ * Shared by the website, its workers and the userscript
+ */
+
+import { isJpeg, patchJpeg } from './core/jpeg.js';
+import { isPng, readPngHeader, decodePng, encodePng } from './core/png.js';
+import { METADATA_GROUPS, readMetadata, writeMetadata, getColorSpace } from './core/metadata.js';
+import { countChangedOutside } from './core/watermarkEngine.js';
+
+export const OUTPUT_FORMATS = ['same', 'png', 'jpeg', 'webp'];
+export const DEFAULT_OUTPUT = { format: 'same', quality: 0.92, metadata: METADATA_GROUPS };
+
+const MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+/**
+ * Fill defaults and drop invalid values from stored settings
+ * @param {Object} [settings] - {format, quality, metadata}
+ * @returns {Object} Output settings {format, quality, metadata}, metadata lists the groups to keep
+ */
+export function normalizeOutput(settings) {
+    const format = OUTPUT_FORMATS.includes(settings?.format) ? settings.format : DEFAULT_OUTPUT.format;
+    const quality = Number(settings?.quality);
+    const metadata = Array.isArray(settings?.metadata)
+        ? METADATA_GROUPS.filter(group => settings.metadata.includes(group))
+        : DEFAULT_OUTPUT.metadata;
+    return { format, quality: quality >= 0.1 && quality <= 1 ? quality : DEFAULT_OUTPUT.quality, metadata };
+}
+
+/**
+ * Resolve the MIME type a result is encoded as
+ * @param {string} format - Output format, 'same' follows the input
+ * @param {string} inputType - MIME type of the input file
+ * @returns {string} MIME type, PNG for unknown inputs
+ */
+export function getOutputType(format, inputType) {
+    if (format !== 'same') return MIME_TYPES[format];
+    return Object.values(MIME_TYPES).includes(inputType) ? inputType : MIME_TYPES.png;
+}
+
+/**
+ * Get the file extension of an output MIME type
+ * @param {string} type - MIME type
+ * @returns {string} Extension without dot
+ */
+export function getExtension(type) {
+    return EXTENSIONS[type] || 'png';
+}
+
+/**
+ * Check whether any pixel is not fully opaque
+ * @returns {boolean}
+ */
+function hasTransparency({ data }) {
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 255) return true;
+    }
+    return false;
+}
+
+/**
+ * Decode the pixels a result is computed from
+ * PNGs with an alpha channel are decoded losslessly: canvases premultiply alpha
+ * and would round every semi-transparent pixel of the image. Everything else goes
+ * through the browser, into a canvas of the file's colour space, or without colour
+ * conversion when the ICC profile is copied over and keeps describing the values.
+ * @param {Uint8Array} bytes - Original file
+ * @param {Object} output - Output settings {format, quality, metadata}
+ * @param {Function} decode - ({colorSpaceConversion, colorSpace}) => Promise<ImageData>
+ * @returns {Promise<Object>} Image data {width, height, data, colorSpace}
+ */
+export async function decodeInput(bytes, output, decode) {
+    const { icc } = await readMetadata(bytes);
+    const keepProfile = Boolean(icc) && output.metadata.includes('icc');
+
+    // Raw samples only match what the browser shows when no profile is dropped
+    if (isPng(bytes) && (!icc || keepProfile)) {
+        try {
+            if (readPngHeader(bytes).hasAlpha) {
+                return { ...(await decodePng(bytes)), colorSpace: 'srgb' };
+            }
+        } catch (error) {
+            console.warn('PNG decoding failed, using the browser:', error.message);
+        }
+    }
+
+    return decode({
+        colorSpaceConversion: keepProfile ? 'none' : 'default',
+        colorSpace: keepProfile ? 'srgb' : getColorSpace(icc)
+    });
+}
+
+/**
+ * Count pixels outside the regions that differ from the input
+ * Only PNG files are decoded again; for other formats the processed pixels are compared
+ * @returns {Promise<number>}
+ */
+async function checkOutside(blob, before, after, regions) {
+    if (blob.type === MIME_TYPES.png) {
+        try {
+            const written = await decodePng(new Uint8Array(await blob.arrayBuffer()));
+            return countChangedOutside(before, written, regions);
+        } catch {
+            // Formats the decoder does not read are checked on the pixels instead
+        }
+    }
+    return countChangedOutside(before, after, regions);
+}
+
+/**
+ * Encode a processed image in the chosen output format
+ * JPEGs kept as JPEG ('same') are patched block by block, PNGs with transparency are
+ * encoded losslessly here, everything else goes through the encoder. Browsers that
+ * cannot encode a format fall back to PNG, the blob type tells what was written.
+ * The selected metadata groups of the original are then copied into the result.
+ *
+ * Pixels outside the watermark regions must come out bit-identical to the input. Only
+ * PNG output is verified by decoding the written file. JPEG and WebP are checked on the
+ * processed pixels before encoding, which catches engine drift but not the encoder's:
+ * lossy encoding, and chroma upsampling around patched JPEG blocks, change pixels
+ * outside the regions anyway. Differences are logged and returned as drift.
+ *
+ * @param {Uint8Array} bytes - Original file
+ * @param {string} inputType - MIME type of the original file
+ * @param {Object} before - Pixels given to the engine
+ * @param {Object} result - Engine result {imageData, regions}
+ * @param {Object} output - Output settings {format, quality, metadata}
+ * @param {Function} encode - (imageData, type, quality) => Promise<Blob>
+ * @returns {Promise<Object>} {blob, drift}, drift counts changed pixels outside the regions
+ */
+export async function encodeOutput(bytes, inputType, before, { imageData, regions }, output, encode) {
+    const jpeg = isJpeg(bytes);
+    const type = getOutputType(output.format, jpeg ? 'image/jpeg' : inputType);
+
+    let blob = null;
+    if (jpeg && output.format === 'same') {
+        try {
+            blob = new Blob([patchJpeg(bytes, before, imageData, regions)], { type: 'image/jpeg' });
+        } catch (error) {
+            console.warn('JPEG patch failed, re-encoding:', error.message);
+        }
+    }
+    // Untagged display-p3 values need the browser's encoder to embed a profile
+    if (!blob && type === MIME_TYPES.png && imageData.colorSpace !== 'display-p3' && hasTransparency(imageData)) {
+        blob = new Blob([await encodePng(imageData)], { type });
+    }
+    if (!blob) blob = await encode(imageData, type, output.quality);
+
+    const drift = await checkOutside(blob, before, imageData, regions);
+    if (drift > 0) {
+        console.warn(`${drift} pixels outside the watermark regions changed`);
+    }
+
+    try {
+        // Browsers decode upright, so the copied EXIF orientation must not rotate again
+        const encoded = await writeMetadata(new Uint8Array(await blob.arrayBuffer()), await readMetadata(bytes), {
+            groups: output.metadata,
+            resetOrientation: true
+        });
+        return { blob: new Blob([encoded], { type: blob.type }), drift };
+    } catch (error) {
+        console.warn('Copying metadata failed:', error.message);
+        return { blob, drift };
+    }
+}
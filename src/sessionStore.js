@@ -0,0 +1,177 @@
+/**
+ * Session store
+ * Keep batch sessions in IndexedDB: original files, processed results, custom
+ * regions, status and review marks, so a reload or browser restart loses nothing
+ */
+
+const DB_NAME = 'gemini-watermark-remover';
+const DB_VERSION = 1;
+const MAX_SESSIONS = 20;    // Older sessions are dropped when a new one starts
+const EMPTY_GRACE = 60 * 60 * 1000;     // Empty sessions younger than this may belong to another open tab
+
+let database = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} The request's result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (database) return database;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore('items', { keyPath: ['sessionId', 'itemId'] }).createIndex('sessionId', 'sessionId');
+    };
+    database = promisify(request);
+    database.catch(() => { database = null; });
+    return database;
+}
+
+/**
+ * Run work in one transaction
+ * @param {string[]} stores - Object store names
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Receives the object stores by name, may return a request whose result is resolved
+ * @returns {Promise<*>} The returned request's result once the transaction completes
+ */
+async function transact(stores, mode, run) {
+    const db = await openDatabase();
+    const tx = db.transaction(stores, mode);
+    const request = run(Object.fromEntries(stores.map(name => [name, tx.objectStore(name)])));
+
+    let result;
+    if (request) request.addEventListener('success', () => { result = request.result; });
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Start a new session, dropping stale empty sessions and the oldest beyond the limit
+ * @returns {Promise<number>} Session id
+ */
+export async function createSession() {
+    // Ask the browser not to evict stored sessions under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    const now = Date.now();
+    const id = await transact(['sessions'], 'readwrite', ({ sessions }) => sessions.add({ createdAt: now, updatedAt: now }));
+
+    const stale = (await listSessions()).filter(session => session.id !== id);
+    const excess = stale.slice(MAX_SESSIONS - 1);
+    const empty = stale.filter(session => session.count === 0 && now - session.updatedAt > EMPTY_GRACE);
+    await Promise.all([...excess, ...empty].map(session => deleteSession(session.id)));
+    return id;
+}
+
+/**
+ * Store an item of a session, replacing its previous state
+ * Nothing is stored when the session was deleted meanwhile.
+ * @param {number} sessionId - Session id
+ * @param {Object} record - Item record {itemId, name, file, processedBlob, status, ...}
+ * @returns {Promise<void>}
+ */
+export async function saveSessionItem(sessionId, record) {
+    await transact(['sessions', 'items'], 'readwrite', ({ sessions, items }) => {
+        sessions.get(sessionId).onsuccess = (e) => {
+            const session = e.target.result;
+            if (!session) return;
+            sessions.put({ ...session, updatedAt: Date.now() });
+            items.put({ ...record, sessionId });
+        };
+    });
+}
+
+/**
+ * Remove an item from a session
+ * @param {number} sessionId - Session id
+ * @param {number} itemId - Item id
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionItem(sessionId, itemId) {
+    await transact(['items'], 'readwrite', ({ items }) => items.delete([sessionId, itemId]));
+}
+
+/**
+ * List stored sessions, newest first
+ * @returns {Promise<Object[]>} Sessions {id, createdAt, updatedAt, count, completed, bytes};
+ *     bytes adds up the stored originals and results
+ */
+export async function listSessions() {
+    const sessions = await transact(['sessions'], 'readonly', ({ sessions }) => sessions.getAll());
+    const stats = new Map(sessions.map(session => [session.id, { count: 0, completed: 0, bytes: 0 }]));
+
+    await transact(['items'], 'readonly', ({ items }) => {
+        items.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const { sessionId, status, file, processedBlob } = cursor.value;
+            const stat = stats.get(sessionId);
+            if (stat) {
+                stat.count++;
+                if (status === 'completed') stat.completed++;
+                stat.bytes += file.size + (processedBlob ? processedBlob.size : 0);
+            }
+            cursor.continue();
+        };
+    });
+
+    return sessions
+        .map(session => ({ ...session, ...stats.get(session.id) }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Load the items of a session in the order they were added
+ * @param {number} sessionId - Session id
+ * @returns {Promise<Object[]>} Item records
+ */
+export async function loadSessionItems(sessionId) {
+    const records = await transact(['items'], 'readonly', ({ items }) => items.index('sessionId').getAll(sessionId));
+    return records.sort((a, b) => a.itemId - b.itemId);
+}
+
+/**
+ * Delete a session with its items
+ * @param {number} sessionId - Session id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(sessionId) {
+    await transact(['sessions', 'items'], 'readwrite', ({ sessions, items }) => {
+        sessions.delete(sessionId);
+        items.delete(IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]));
+    });
+}
+
+/**
+ * Delete every stored session
+ * @returns {Promise<void>}
+ */
+export async function clearSessions() {
+    await transact(['sessions', 'items'], 'readwrite', ({ sessions, items }) => {
+        sessions.clear();
+        items.clear();
+    });
+}
+
+/**
+ * Get how much storage the page uses
+ * @returns {Promise<Object|null>} {usage, quota} in bytes, null when the browser does not tell
+ */
+export async function getStorageUsage() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
@@ -1,6 +1,12 @@
 import { WatermarkEngine } from '../core/watermarkEngine.js';
+import { removeWatermarkFromImage, decodeImage, imageDataToCanvas, canvasToBlob } from '../canvas.js';
+import { OUTPUT_FORMATS, normalizeOutput, decodeInput, encodeOutput } from '../output.js';
+import { METADATA_GROUPS } from '../core/metadata.js';
+
+const OUTPUT_STORAGE_KEY = 'outputFormat';
 
 let engine = null;
+let outputSettings = normalizeOutput(GM_getValue(OUTPUT_STORAGE_KEY));
 const processingQueue = new Set();
 
 const debounce = (func, wait) => {
@@ -18,13 +24,12 @@ const loadImage = (src) => new Promise((resolve, reject) => {
   img.src = src;
 });
 
-const canvasToBlob = (canvas, type = 'image/png') =>
-  new Promise(resolve => canvas.toBlob(resolve, type));
-
 const isValidGeminiImage = (img) => img.closest('generated-image,.generated-image-container') !== null;
 
+// Images found without watermark keep their original src, don't pick them up again
 const findGeminiImages = () =>
-  [...document.querySelectorAll('img[src*="googleusercontent.com"]')].filter(isValidGeminiImage);
+  [...document.querySelectorAll('img[src*="googleusercontent.com"]')]
+    .filter(img => isValidGeminiImage(img) && img.dataset.watermarkProcessed !== 'skipped');
 
 const fetchBlob = (url) => new Promise((resolve, reject) => {
   // use GM_xmlhttpRequest to fetch image blob to avoid cross-origin issue
@@ -54,8 +59,16 @@ async function processImage(imgElement) {
     const normalSizeBlob = await fetchBlob(replaceWithNormalSize(originalSrc));
     const normalSizeBlobUrl = URL.createObjectURL(normalSizeBlob);
     const normalSizeImg = await loadImage(normalSizeBlobUrl);
-    const processedCanvas = await engine.removeWatermarkFromImage(normalSizeImg);
-    const processedBlob = await canvasToBlob(processedCanvas);
+    const { canvas, removed } = await removeWatermarkFromImage(engine, normalSizeImg, null, { skipUnlessPresent: true, estimateScale: false });
+
+    if (!removed) {
+      URL.revokeObjectURL(normalSizeBlobUrl);
+      imgElement.src = originalSrc;
+      imgElement.dataset.watermarkProcessed = 'skipped';
+      return;
+    }
+
+    const processedBlob = await canvasToBlob(canvas);
 
     URL.revokeObjectURL(normalSizeBlobUrl);
 
@@ -86,14 +99,47 @@ const setupMutationObserver = () => {
   console.log('[Gemini Watermark Remover] MutationObserver active');
 };
 
+// Downloads are encoded in the chosen output format, images without watermark are passed through
 async function processImageBlob(blob) {
-  const blobUrl = URL.createObjectURL(blob);
-  const img = await loadImage(blobUrl);
-  const canvas = await engine.removeWatermarkFromImage(img);
-  URL.revokeObjectURL(blobUrl);
-  return canvasToBlob(canvas);
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const before = await decodeInput(bytes, outputSettings, settings => decodeImage(blob, settings));
+  const result = engine.removeWatermarkFromImageData(before, null, { skipUnlessPresent: true, estimateScale: false });
+  if (!result.removed) return blob;
+
+  const output = await encodeOutput(bytes, blob.type, before, result, outputSettings,
+    (imageData, type, quality) => canvasToBlob(imageDataToCanvas(imageData), type, quality));
+  return output.blob;
 }
 
+const saveOutputSettings = (settings) => {
+  outputSettings = normalizeOutput(settings);
+  GM_setValue(OUTPUT_STORAGE_KEY, outputSettings);
+};
+
+const setupMenu = () => {
+  GM_registerMenuCommand('Output format', () => {
+    const format = prompt(`Download format (${OUTPUT_FORMATS.join(', ')})`, outputSettings.format);
+    if (format === null) return;
+    if (!OUTPUT_FORMATS.includes(format.trim().toLowerCase())) {
+      alert(`Unknown format "${format}", expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+      return;
+    }
+    saveOutputSettings({ ...outputSettings, format: format.trim().toLowerCase() });
+  });
+
+  GM_registerMenuCommand('Output quality', () => {
+    const quality = prompt('JPEG / WebP quality (10-100)', Math.round(outputSettings.quality * 100));
+    if (quality === null) return;
+    saveOutputSettings({ ...outputSettings, quality: Number(quality) / 100 });
+  });
+
+  GM_registerMenuCommand('Keep metadata', () => {
+    const groups = prompt(`Metadata to keep (${METADATA_GROUPS.join(', ')} or none)`, outputSettings.metadata.join(', ') || 'none');
+    if (groups === null) return;
+    saveOutputSettings({ ...outputSettings, metadata: groups.toLowerCase().split(/[\s,]+/) });
+  });
+};
+
 // Only match gemini generated assets(copy & download), ignore user-upload previews.
 const GEMINI_URL_PATTERN = /^https:\/\/lh3\.googleusercontent\.com\/rd-gg(?:-dl)?\/.+=s(?!0-d\?).*/;
 
@@ -113,10 +159,12 @@ unsafeWindow.fetch = async (...args) => {
 
     try {
       const processedBlob = await processImageBlob(await response.blob());
+      const headers = new Headers(response.headers);
+      if (processedBlob.type) headers.set('Content-Type', processedBlob.type);
       return new Response(processedBlob, {
         status: response.status,
         statusText: response.statusText,
-        headers: response.headers
+        headers
       });
     } catch (error) {
       console.warn('[Gemini Watermark Remover] Processing failed:', error);
@@ -132,6 +180,7 @@ unsafeWindow.fetch = async (...args) => {
     console.log('[Gemini Watermark Remover] Initializing...');
     engine = await WatermarkEngine.create();
 
+    setupMenu();
     processAllImages();
     setupMutationObserver();
 
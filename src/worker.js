@@ -0,0 +1,36 @@
+/**
+ * Processing worker
+ * Decode, remove the watermark and encode off the main thread
+ */
+
+import { WatermarkEngine } from './core/watermarkEngine.js';
+import { ProfileRegistry } from './core/profileRegistry.js';
+import { decodeInput, encodeOutput } from './output.js';
+import { decodeImage, imageDataToCanvas, canvasToBlob } from './canvas.js';
+
+const engine = new WatermarkEngine();
+
+self.addEventListener('message', async ({ data: message }) => {
+    // Keep the registry in sync with the page (calibration, imported profiles)
+    if (message.type === 'profiles') {
+        engine.registry = new ProfileRegistry(message.profiles);
+        return;
+    }
+
+    const { id, buffer, fileType, customPosition, options, output } = message;
+
+    try {
+        const bytes = new Uint8Array(buffer);
+        const file = new Blob([buffer], { type: fileType });
+        const before = await decodeInput(bytes, output, settings => decodeImage(file, settings));
+        const { imageData, ...result } = engine.removeWatermarkFromImageData(before, customPosition, options);
+
+        const { blob, drift } = await encodeOutput(bytes, fileType, before, { imageData, ...result }, output,
+            (pixels, type, quality) => canvasToBlob(imageDataToCanvas(pixels), type, quality));
+
+        const encoded = await blob.arrayBuffer();
+        self.postMessage({ id, buffer: encoded, type: blob.type, result: { ...result, drift } }, [encoded]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
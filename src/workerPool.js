@@ -0,0 +1,142 @@
+/**
+ * Worker pool
+ * Spread image processing over Web Workers, one per logical core minus the
+ * main thread. File bytes go in and encoded results come out as transferables.
+ */
+
+import { DEFAULT_OUTPUT } from './output.js';
+
+export class WorkerPool {
+    /**
+     * Check whether workers can decode, process and encode on their own
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+    }
+
+    /**
+     * @param {string} url - Worker script URL
+     * @param {number} [size] - Number of workers, follows navigator.hardwareConcurrency by default
+     */
+    constructor(url, size = Math.max(1, (navigator.hardwareConcurrency || 4) - 1)) {
+        this.queue = [];
+        this.tasks = new Map();
+        this.nextId = 1;
+
+        this.workers = Array.from({ length: size }, () => {
+            const worker = new Worker(url);
+            worker.addEventListener('message', ({ data }) => this.settle(worker, data));
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.fail(worker, new Error(event.message || 'Worker failed'));
+            });
+            return worker;
+        });
+        this.idle = [...this.workers];
+    }
+
+    /**
+     * Send watermark profiles to every worker
+     * @param {Object[]} profiles - Profiles in priority order
+     */
+    setProfiles(profiles) {
+        this.workers.forEach(worker => worker.postMessage({ type: 'profiles', profiles }));
+    }
+
+    /**
+     * Remove watermark from an image file in the next free worker
+     * @param {Blob} file - Image file
+     * @param {Object|Object[]} [customPosition] - Optional custom watermark position(s) {x, y, width, height}
+     * @param {Object} [options] - Engine options, see WatermarkEngine#removeWatermarkFromImageData
+     * @param {Object} [output] - Output settings {format, quality, metadata}
+     * @param {AbortSignal} [signal] - Cancels the task: a queued one is dropped, a running one's result is ignored
+     * @returns {Promise<Object>} Result {blob, position, info, presence, removed, accuracy, drift}
+     * @throws {*} The signal's reason when cancelled
+     */
+    async run(file, customPosition = null, options = {}, output = DEFAULT_OUTPUT, signal = null) {
+        const buffer = await file.arrayBuffer();
+        signal?.throwIfAborted();
+
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: this.nextId++,
+                message: { buffer, fileType: file.type, customPosition, options, output },
+                resolve,
+                reject
+            };
+            signal?.addEventListener('abort', () => this.cancel(task, signal.reason), { once: true });
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Cancel a task
+     * Workers cannot be interrupted, a running task keeps its worker busy until it
+     * replies and the reply is dropped.
+     */
+    cancel(task, reason) {
+        const index = this.queue.indexOf(task);
+        if (index >= 0) this.queue.splice(index, 1);
+        task.reject(reason);
+    }
+
+    /**
+     * Hand queued tasks to idle workers
+     */
+    dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            this.tasks.set(task.id, { task, worker });
+            worker.postMessage({ type: 'process', id: task.id, ...task.message }, [task.message.buffer]);
+        }
+    }
+
+    /**
+     * Resolve a task from a worker reply
+     */
+    settle(worker, data) {
+        const entry = this.tasks.get(data.id);
+        if (!entry) return;
+
+        this.tasks.delete(data.id);
+        this.idle.push(worker);
+        this.dispatch();
+
+        if (data.error) {
+            entry.task.reject(new Error(data.error));
+        } else {
+            entry.task.resolve({ blob: new Blob([data.buffer], { type: data.type }), ...data.result });
+        }
+    }
+
+    /**
+     * Reject the task a worker was running when it crashed
+     */
+    fail(worker, error) {
+        for (const [id, entry] of this.tasks) {
+            if (entry.worker !== worker) continue;
+            this.tasks.delete(id);
+            entry.task.reject(error);
+        }
+        if (!this.idle.includes(worker)) this.idle.push(worker);
+        this.dispatch();
+    }
+
+    /**
+     * Stop all workers, pending tasks are rejected
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        [...this.tasks.values()].forEach(({ task }) => task.reject(new Error('Worker pool terminated')));
+        this.queue.forEach(task => task.reject(new Error('Worker pool terminated')));
+        this.tasks.clear();
+        this.queue = [];
+        this.idle = [];
+    }
+}
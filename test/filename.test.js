@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ARCHIVE_TOKENS, DEFAULT_FILE_TEMPLATE, formatFilename, validateTemplate } from '../src/core/filename.js';
+
+const DATE = new Date(2024, 0, 2, 3, 4, 5);
+
+test('validateTemplate trims and accepts known tokens', () => {
+    assert.equal(validateTemplate('  {name}_{width}x{height}.{ext} '), '{name}_{width}x{height}.{ext}');
+    assert.equal(validateTemplate('clean_{date}', ARCHIVE_TOKENS), 'clean_{date}');
+    assert.equal(validateTemplate('no tokens'), 'no tokens');
+});
+
+test('validateTemplate rejects empty templates and unknown tokens', () => {
+    for (const template of ['', '   ', null, undefined]) {
+        assert.throws(() => validateTemplate(template), /empty/);
+    }
+    assert.throws(() => validateTemplate('{name}_{foo}'), /Unknown filename token \{foo\}/);
+    assert.throws(() => validateTemplate('{name}', ARCHIVE_TOKENS), /Unknown filename token \{name\}/);
+});
+
+test('formatFilename fills every token', () => {
+    const name = formatFilename('{name}-{ext}-{width}x{height}-{index}of{count}-{date}-{wmSize}', {
+        name: 'photo', ext: 'png', width: 1024, height: 768, index: 7, count: 120, date: DATE, wmSize: { width: 96, height: 96 }
+    });
+    assert.equal(name, 'photo-png-1024x768-007of120-20240102-030405-96x96');
+});
+
+test('formatFilename uses the default template', () => {
+    assert.equal(formatFilename(DEFAULT_FILE_TEMPLATE, { name: 'a', ext: 'jpg' }), 'unwatermarked_a.jpg');
+});
+
+test('formatFilename appends the extension when the template has none', () => {
+    assert.equal(formatFilename('{name}_clean', { name: 'a', ext: 'webp' }), 'a_clean.webp');
+    assert.equal(formatFilename('{name}_clean', { name: 'a' }), 'a_clean');
+});
+
+test('formatFilename makes values safe for file names', () => {
+    assert.equal(formatFilename('{name}.{ext}', { name: '../a/b:c*?"<>|', ext: 'png' }), '_a_b_c______.png');
+    assert.equal(formatFilename('{name}', { name: '...hidden' }), 'hidden');
+    assert.equal(formatFilename('{name}. ', { name: 'trailing' }), 'trailing');
+    assert.equal(formatFilename('{name}', { name: 'tab\there' }), 'tab_here');
+});
+
+test('formatFilename falls back to "image" for empty results', () => {
+    assert.equal(formatFilename('{wmSize}', {}), 'image');
+    assert.equal(formatFilename('{name}', { name: '...' }), 'image');
+    assert.equal(formatFilename('{wmSize}', { ext: 'png' }), 'image.png');
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, relative, resolve, sep } from 'node:path';
+import { collectInputs, globToRegExp, hasGlobMagic, splitGlob } from '../src/cli/files.js';
+
+let root;
+
+before(async () => {
+    root = await mkdtemp(join(tmpdir(), 'files-test-'));
+    for (const file of ['a.png', 'b.JPG', 'c.txt', 'unwatermarked_a.png', 'sub/d.webp', 'sub/deep/e.jpeg', 'out/f.png']) {
+        await mkdir(join(root, file, '..'), { recursive: true });
+        await writeFile(join(root, file), '');
+    }
+});
+
+after(() => rm(root, { recursive: true, force: true }));
+
+const names = files => files.map(({ path }) => relative(root, path).split(sep).join('/')).sort();
+
+test('hasGlobMagic spots glob syntax', () => {
+    assert.equal(hasGlobMagic('images/*.png'), true);
+    assert.equal(hasGlobMagic('img?.png'), true);
+    assert.equal(hasGlobMagic('{a,b}.png'), true);
+    assert.equal(hasGlobMagic('[ab].png'), true);
+    assert.equal(hasGlobMagic('images/a.png'), false);
+});
+
+test('globToRegExp matches wildcards, classes and alternatives', () => {
+    const cases = [
+        ['*.png', ['a.png'], ['a.jpg', 'dir/a.png']],
+        ['**/*.png', ['a.png', 'x/a.png', 'x/y/a.png'], ['a.jpg']],
+        ['x/**', ['x/a', 'x/y/z'], ['y/a']],
+        ['img?.png', ['img1.png'], ['img.png', 'img12.png', 'img/.png']],
+        ['[ab].png', ['a.png', 'b.png'], ['c.png']],
+        ['[!ab].png', ['c.png'], ['a.png']],
+        ['*.{png,jpg}', ['a.png', 'a.jpg'], ['a.webp']],
+        ['a+b(1).png', ['a+b(1).png'], ['aab1.png']],
+        ['[oops.png', ['[oops.png'], ['o']]
+    ];
+    for (const [pattern, matches, misses] of cases) {
+        const regex = globToRegExp(pattern);
+        for (const path of matches) assert.ok(regex.test(path), `${pattern} should match ${path}`);
+        for (const path of misses) assert.ok(!regex.test(path), `${pattern} should not match ${path}`);
+    }
+});
+
+test('splitGlob separates the static base', () => {
+    assert.deepEqual(splitGlob('images/2024/*.png'), { base: 'images/2024', relativePattern: '*.png' });
+    assert.deepEqual(splitGlob('images/**/a?.png'), { base: 'images', relativePattern: '**/a?.png' });
+    assert.deepEqual(splitGlob('*.png'), { base: '.', relativePattern: '*.png' });
+    assert.deepEqual(splitGlob('a\\b\\*.png'), { base: 'a/b', relativePattern: '*.png' });
+});
+
+test('collectInputs expands globs', async () => {
+    const { files, errors } = await collectInputs([`${root}/*.{png,JPG}`]);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(names(files), ['a.png', 'b.JPG']);
+
+    const deep = await collectInputs([`${root}/**/*.{webp,jpeg}`]);
+    assert.deepEqual(names(deep.files), ['sub/d.webp', 'sub/deep/e.jpeg']);
+});
+
+test('collectInputs walks directories, recursively on request', async () => {
+    assert.deepEqual(names((await collectInputs([root])).files), ['a.png', 'b.JPG']);
+    assert.deepEqual(names((await collectInputs([root], { recursive: true })).files),
+        ['a.png', 'b.JPG', 'out/f.png', 'sub/d.webp', 'sub/deep/e.jpeg']);
+});
+
+test('collectInputs skips outputs among discovered files only', async () => {
+    const written = new Set([resolve(root, 'b.JPG')]);
+    const { files } = await collectInputs([root], { recursive: true, exclude: join(root, 'out'), written });
+    assert.deepEqual(names(files), ['a.png', 'sub/d.webp', 'sub/deep/e.jpeg']);
+
+    const named = await collectInputs([join(root, 'unwatermarked_a.png'), join(root, 'b.JPG')], { written });
+    assert.deepEqual(names(named.files), ['b.JPG', 'unwatermarked_a.png']);
+});
+
+test('collectInputs removes duplicates and reports missing inputs', async () => {
+    const { files, errors } = await collectInputs([join(root, 'a.png'), `${root}/*.png`, join(root, 'missing.png')]);
+    assert.deepEqual(names(files), ['a.png']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].input, join(root, 'missing.png'));
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { isJpeg, patchJpeg } from '../src/core/jpeg.js';
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const REGION = { x: 20, y: 12, width: 18, height: 14 };
+
+/**
+ * Textured RGB test pattern, so every block has detail to quantise
+ */
+function pattern() {
+    const data = Buffer.alloc(WIDTH * HEIGHT * 3);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 3;
+            data[i] = x * 4;
+            data[i + 1] = 64 + y * 3;
+            data[i + 2] = 128 + 60 * Math.sin((x + y) / 5);
+        }
+    }
+    return data;
+}
+
+async function decode(bytes) {
+    const { data, info } = await sharp(bytes).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, data: new Uint8ClampedArray(data) };
+}
+
+/**
+ * Encode the pattern, then brighten REGION in the decoded pixels
+ */
+async function fixture(chromaSubsampling) {
+    const bytes = new Uint8Array(await sharp(pattern(), { raw: { width: WIDTH, height: HEIGHT, channels: 3 } })
+        .jpeg({ quality: 90, chromaSubsampling })
+        .toBuffer());
+    const before = await decode(bytes);
+    const after = { ...before, data: before.data.slice() };
+    for (let y = REGION.y; y < REGION.y + REGION.height; y++) {
+        for (let x = REGION.x; x < REGION.x + REGION.width; x++) {
+            const i = (y * WIDTH + x) * 4;
+            for (let c = 0; c < 3; c++) after.data[i + c] += 40;
+        }
+    }
+    return { bytes, before, after };
+}
+
+/**
+ * Largest channel difference outside a box, and mean difference inside it
+ */
+function compare(a, b, box) {
+    let outside = 0;
+    let inside = 0;
+    let count = 0;
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const inBox = x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height;
+            for (let c = 0; c < 3; c++) {
+                const i = (y * WIDTH + x) * 4 + c;
+                const diff = Math.abs(a.data[i] - b.data[i]);
+                if (inBox) {
+                    inside += diff;
+                    count++;
+                } else {
+                    outside = Math.max(outside, diff);
+                }
+            }
+        }
+    }
+    return { outside, inside: inside / count };
+}
+
+/**
+ * Grow REGION to whole blocks of size, plus a margin
+ */
+function blockBox(size, margin = 0) {
+    const x = Math.floor(REGION.x / size) * size - margin;
+    const y = Math.floor(REGION.y / size) * size - margin;
+    return {
+        x,
+        y,
+        width: Math.ceil((REGION.x + REGION.width) / size) * size + margin - x,
+        height: Math.ceil((REGION.y + REGION.height) / size) * size + margin - y
+    };
+}
+
+test('patchJpeg leaves pixels outside the changed blocks untouched (4:4:4)', async () => {
+    const { bytes, before, after } = await fixture('4:4:4');
+    const patched = patchJpeg(bytes, before, after, REGION);
+    assert.ok(isJpeg(patched));
+
+    const decoded = await decode(patched);
+    const box = blockBox(8);
+    assert.equal(compare(decoded, before, box).outside, 0);
+    assert.ok(compare(decoded, after, REGION).inside < compare(before, after, REGION).inside / 4);
+});
+
+test('patchJpeg only drifts next to the changed MCUs with chroma subsampling (4:2:0)', async () => {
+    const { bytes, before, after } = await fixture('4:2:0');
+    const patched = patchJpeg(bytes, before, after, REGION);
+
+    // Chroma upsampling blends each sample with its neighbours, one pixel past the MCU
+    const decoded = await decode(patched);
+    assert.equal(compare(decoded, before, blockBox(16, 1)).outside, 0);
+    assert.ok(compare(decoded, after, REGION).inside < compare(before, after, REGION).inside / 4);
+});
+
+test('patchJpeg returns the original bytes when nothing changed', async () => {
+    const { bytes, before } = await fixture('4:4:4');
+    assert.equal(patchJpeg(bytes, before, before, REGION), bytes);
+    assert.equal(patchJpeg(bytes, before, before, { x: WIDTH, y: 0, width: 10, height: 10 }), bytes);
+});
+
+test('patchJpeg rejects pixels of another size', async () => {
+    const { bytes, before } = await fixture('4:4:4');
+    assert.throws(() => patchJpeg(bytes, { ...before, width: 32 }, before, REGION), /does not match JPEG frame/);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { detectFormat, readMetadata, writeMetadata } from '../src/core/metadata.js';
+
+const encoder = new TextEncoder();
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/></x:xmpmeta>';
+// IPTC dataset 2:120 (caption) "ABC"
+const IPTC = [0x1C, 0x02, 0x78, 0x00, 0x03, 0x41, 0x42, 0x43];
+// ResolutionInfo, which only lives in the Photoshop resources
+const RESOLUTION = [0, 72, 0, 0, 0, 1, 0, 1, 0, 72, 0, 0, 0, 1, 0, 1];
+
+function plain(format) {
+    return sharp({ create: { width: 16, height: 16, channels: 3, background: '#808080' } })[format]().toBuffer()
+        .then(buffer => new Uint8Array(buffer));
+}
+
+function photoshopResource(id, data) {
+    const size = data.length;
+    return [0x38, 0x42, 0x49, 0x4D, id >> 8, id & 0xFF, 0, 0,
+        size >>> 24, (size >> 16) & 0xFF, (size >> 8) & 0xFF, size & 0xFF, ...data, ...(size % 2 ? [0] : [])];
+}
+
+/**
+ * JPEG carrying every group: EXIF, ICC and XMP from sharp, APP13 added by hand
+ */
+async function source() {
+    const jpeg = new Uint8Array(await sharp({ create: { width: 16, height: 16, channels: 3, background: '#808080' } })
+        .withMetadata({ icc: 'p3', orientation: 6, exif: { IFD0: { Copyright: 'Test' } } })
+        .withXmp(XMP)
+        .jpeg()
+        .toBuffer());
+    const body = [...encoder.encode('Photoshop 3.0\0'), ...photoshopResource(0x03ED, RESOLUTION), ...photoshopResource(0x0404, IPTC)];
+    const length = body.length + 2;
+    return new Uint8Array([...jpeg.subarray(0, 2), 0xFF, 0xED, length >> 8, length & 0xFF, ...body, ...jpeg.subarray(2)]);
+}
+
+test('readMetadata finds every group in a JPEG', async () => {
+    const metadata = await readMetadata(await source());
+    assert.ok(metadata.exif?.length > 0);
+    assert.ok(metadata.icc?.length > 0);
+    assert.match(new TextDecoder().decode(metadata.xmp), /x:xmpmeta/);
+    assert.deepEqual([...metadata.iptc], IPTC);
+});
+
+for (const format of ['jpeg', 'png', 'webp']) {
+    test(`writeMetadata copies EXIF, XMP, ICC and IPTC into ${format}`, async () => {
+        const metadata = await readMetadata(await source());
+        const output = await writeMetadata(await plain(format), metadata);
+        assert.equal(detectFormat(output), format);
+
+        const copied = await readMetadata(output);
+        assert.deepEqual(copied.exif, metadata.exif);
+        assert.deepEqual(copied.xmp, metadata.xmp);
+        assert.deepEqual(copied.icc, metadata.icc);
+        // WebP has no IPTC container
+        assert.deepEqual(copied.iptc, format === 'webp' ? null : metadata.iptc);
+
+        // Other decoders still read the file and its colour profile
+        const info = await sharp(output).metadata();
+        assert.equal(info.width, 16);
+        assert.equal(info.hasProfile, true);
+    });
+}
+
+test('writeMetadata keeps the other Photoshop resources of APP13', async () => {
+    const metadata = await readMetadata(await source());
+    const copied = await readMetadata(await writeMetadata(await plain('jpeg'), metadata));
+    assert.deepEqual(copied.photoshop, metadata.photoshop);
+});
+
+test('writeMetadata writes only the selected groups', async () => {
+    const metadata = await readMetadata(await source());
+    const copied = await readMetadata(await writeMetadata(await plain('jpeg'), metadata, { groups: ['icc'] }));
+    assert.deepEqual(copied.icc, metadata.icc);
+    assert.equal(copied.exif, null);
+    assert.equal(copied.xmp, null);
+    assert.equal(copied.iptc, null);
+    assert.equal(copied.photoshop, undefined);
+});
+
+test('writeMetadata replaces metadata already in the output', async () => {
+    const metadata = await readMetadata(await source());
+    const once = await writeMetadata(await plain('jpeg'), metadata);
+    const twice = await writeMetadata(once, metadata);
+    assert.deepEqual(twice, once);
+});
+
+test('writeMetadata can reset the EXIF orientation', async () => {
+    const metadata = await readMetadata(await source());
+    const output = await writeMetadata(await plain('jpeg'), metadata, { resetOrientation: true });
+    assert.equal((await sharp(output).metadata()).orientation, 1);
+    assert.equal((await sharp(await writeMetadata(await plain('jpeg'), metadata)).metadata()).orientation, 6);
+});
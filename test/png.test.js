@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { decodePng, encodePng, readPngHeader } from '../src/core/png.js';
+
+/**
+ * Small RGBA image with semi-transparent pixels and every filter's favourite content
+ */
+function image(width = 13, height = 7) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = (i * 37) & 0xFF;
+        data[i * 4 + 1] = i % width * 19;
+        data[i * 4 + 2] = Math.floor(i / width) * 31;
+        data[i * 4 + 3] = i % 3 === 0 ? 255 : (i * 11) & 0xFF;
+    }
+    return { width, height, data };
+}
+
+test('encodePng and decodePng round-trip straight RGBA exactly', async () => {
+    const source = image();
+    const bytes = await encodePng(source);
+    const header = readPngHeader(bytes);
+    assert.equal(header.width, source.width);
+    assert.equal(header.height, source.height);
+    assert.equal(header.hasAlpha, true);
+
+    const decoded = await decodePng(bytes);
+    assert.deepEqual([decoded.width, decoded.height], [source.width, source.height]);
+    assert.deepEqual(decoded.data, source.data);
+});
+
+test('encodePng writes files other decoders read back identically', async () => {
+    const source = image();
+    const { data } = await sharp(await encodePng(source)).raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual(new Uint8ClampedArray(data), source.data);
+});
+
+test('decodePng reads palette, grey and RGB files', async () => {
+    const source = image(16, 8);
+    const raw = { raw: { width: 16, height: 8, channels: 4 } };
+
+    const rgb = await decodePng(new Uint8Array(await sharp(Buffer.from(source.data), raw).removeAlpha().png().toBuffer()));
+    for (let i = 0; i < 16 * 8; i++) {
+        assert.deepEqual([...rgb.data.subarray(i * 4, i * 4 + 4)], [...source.data.subarray(i * 4, i * 4 + 3), 255]);
+    }
+
+    const grey = await decodePng(new Uint8Array(await sharp(Buffer.from(source.data), raw).removeAlpha().greyscale().png().toBuffer()));
+    assert.equal(grey.data[0], grey.data[1]);
+    assert.equal(grey.data[3], 255);
+
+    const palette = await sharp(Buffer.from(source.data), raw).png({ palette: true, colours: 4 }).toBuffer();
+    const { data } = await sharp(palette).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual((await decodePng(new Uint8Array(palette))).data, new Uint8ClampedArray(data));
+});
+
+test('decodePng rejects files that are not PNG', async () => {
+    await assert.rejects(decodePng(new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9])), /Invalid PNG/);
+});
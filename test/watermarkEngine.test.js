@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { WatermarkEngine, detectWatermarkConfig } from '../src/core/watermarkEngine.js';
+import { placeWatermark } from '../src/core/profile.js';
+
+const engine = new WatermarkEngine();
+
+/**
+ * Grey image filled by background(x, y)
+ */
+function createImage(width, height, background) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = background(x, y);
+            data[i + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Blend the rule profile's logo into a copy of the image, the way Gemini does
+ * @param {number} [strength] - Alpha scale, below 1 for a faded logo
+ */
+function blendWatermark(image, strength = 1) {
+    const profile = engine.getRuleProfile(image.width, image.height);
+    const position = placeWatermark(profile, image.width, image.height);
+    const data = image.data.slice();
+    for (let row = 0; row < position.height; row++) {
+        for (let col = 0; col < position.width; col++) {
+            const alpha = profile.alphaMap[row * position.width + col] * strength;
+            const i = ((position.y + row) * image.width + position.x + col) * 4;
+            for (let c = 0; c < 3; c++) {
+                data[i + c] = Math.round(alpha * profile.logoColor[c] + (1 - alpha) * data[i + c]);
+            }
+        }
+    }
+    return { image: { ...image, data }, position };
+}
+
+function maxDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.data.length; i++) max = Math.max(max, Math.abs(a.data[i] - b.data[i]));
+    return max;
+}
+
+test('auto mode reverse blends an exact-size watermark over a background that follows the logo', () => {
+    // A bright spot under the logo correlates with its alpha map
+    const clean = createImage(800, 600, (x, y) => 70 + 90 * Math.exp(-((x - 744) ** 2 + (y - 544) ** 2) / 400));
+    const { image, position } = blendWatermark(clean);
+
+    const result = engine.removeWatermarkFromImageData(image, null, { mode: 'auto' });
+    assert.deepEqual(result.position, position);
+    assert.equal(result.info.method, 'template');
+    assert.equal(result.accuracy.mode, 'lossless');
+    assert.equal(result.accuracy.inpainted, 0);
+    assert.ok(maxDifference(result.imageData, clean) <= 2);
+});
+
+async function resize(image, width) {
+    const { data, info } = await sharp(Buffer.from(image.data), { raw: { width: image.width, height: image.height, channels: 4 } })
+        .resize(width)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, data: new Uint8ClampedArray(data) };
+}
+
+const CLEAN_IMAGES = {
+    gradient: () => createImage(800, 600, (x, y) => 40 + x * 0.2 + y * 0.1),
+    sinusoid: () => createImage(800, 600, (x, y) => 128 + 60 * Math.sin(x / 6) * Math.cos(y / 9)),
+    diagonal: () => createImage(1100, 1100, (x, y) => 128 + 80 * Math.sin((x + y) / 13))
+};
+
+for (const [name, create] of Object.entries(CLEAN_IMAGES)) {
+    test(`a clean ${name} is left unchanged, also when scale estimates are allowed`, () => {
+        const clean = create();
+        for (const estimateScale of ['auto', true]) {
+            const result = engine.removeWatermarkFromImageData(clean, null, { skipUnlessPresent: true, estimateScale });
+            assert.equal(result.removed, false);
+            assert.equal(result.presence.verdict, 'absent');
+            assert.deepEqual(result.imageData.data, clean.data);
+        }
+    });
+}
+
+test('a watermark in a resized image is found by scale estimation', async () => {
+    const clean = createImage(1200, 1000, (x, y) => 60 + x * 0.03 + 10 * Math.sin(y / 7));
+    const { image } = blendWatermark(clean);
+    const resized = await resize(image, 900);
+
+    const result = engine.removeWatermarkFromImageData(resized, null, { skipUnlessPresent: true });
+    assert.equal(result.removed, true);
+    assert.equal(result.info.method, 'scaled');
+    assert.ok(Math.abs(result.info.geometry.scale - 0.75) < 0.02);
+
+    const skipped = engine.removeWatermarkFromImageData(resized, null, { skipUnlessPresent: true, estimateScale: false });
+    assert.equal(skipped.removed, false);
+});
+
+test('uncertain watermarks are skipped unless removal is forced', () => {
+    const clean = createImage(800, 600, (x, y) => 128 + 40 * Math.sin(x / 3) * Math.cos(y / 4));
+    const { image } = blendWatermark(clean, 0.3);
+
+    const skipped = engine.removeWatermarkFromImageData(image, null, { skipUnlessPresent: true });
+    assert.equal(skipped.presence.verdict, 'uncertain');
+    assert.equal(skipped.removed, false);
+    assert.deepEqual(skipped.imageData.data, image.data);
+
+    const forced = engine.removeWatermarkFromImageData(image, null);
+    assert.equal(forced.removed, true);
+});
+
+test('detectWatermarkConfig applies the size rules', () => {
+    assert.deepEqual(detectWatermarkConfig(800, 600), { logoSize: 48, marginRight: 32, marginBottom: 32 });
+    assert.deepEqual(detectWatermarkConfig(1100, 1100), { logoSize: 96, marginRight: 64, marginBottom: 64 });
+    assert.deepEqual(detectWatermarkConfig(1100, 1100, engine.registry), detectWatermarkConfig(1100, 1100));
+});